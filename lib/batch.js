@@ -0,0 +1,216 @@
+import fs from 'fs';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { resolveInside } from './paths.js';
+import { FILES_DIR } from './webhook-request.js';
+
+export const MAX_CONCURRENCY = 100;
+
+// Per-item errors listed in the summary; the output file has all of them
+const MAX_LISTED_ERRORS = 100;
+
+const invalid = (message) => new McpError(ErrorCode.InvalidParams, message);
+
+// Split CSV text into rows of fields. Quoted fields may contain commas,
+// newlines and doubled quotes.
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value !== ''));
+}
+
+// CSV with a header row: one object per row, keyed by column name. Values stay strings.
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    return [];
+  }
+  return rows.map(fields => Object.fromEntries(header.map((column, i) => [column, fields[i] ?? ''])));
+}
+
+// Batch input and result files, like uploads, live in FILES_DIR
+const batchFilePath = (file) => resolveInside(FILES_DIR, file, 'N8N_FILES_DIR');
+
+// Read the payloads of a batch from a .json (array), .jsonl/.ndjson (one
+// value per line) or .csv (header row, one object per row) file in FILES_DIR
+export function readPayloadFile(file) {
+  const filePath = batchFilePath(file);
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw invalid(`Cannot read payload file ${file}: ${error.message}`);
+  }
+
+  const extension = path.extname(file).toLowerCase();
+  try {
+    switch (extension) {
+      case '.json': {
+        const items = JSON.parse(text);
+        if (!Array.isArray(items)) {
+          throw new Error('a JSON payload file must contain an array');
+        }
+        return items;
+      }
+      case '.jsonl':
+      case '.ndjson':
+        return text.split(/\r?\n/).map((line, i) => {
+          try {
+            return line.trim() ? JSON.parse(line) : undefined;
+          } catch (error) {
+            throw new Error(`line ${i + 1}: ${error.message}`);
+          }
+        }).filter(item => item !== undefined);
+      case '.csv':
+        return parseCsv(text);
+      default:
+        throw new Error('use a .json, .jsonl, .ndjson or .csv file');
+    }
+  } catch (error) {
+    throw invalid(`Invalid payload file ${file}: ${error.message}`);
+  }
+}
+
+// Nearest-rank percentile of ascending values
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)];
+}
+
+const round = (ms) => Math.round(ms * 10) / 10;
+
+// Run `worker(item, index)` for every item, at most `concurrency` at a time
+// and starting no more than `ratePerSecond` per second. Each result records
+// whether the worker succeeded, its latency, and what it returned or threw.
+export async function runBatch(items, worker, { concurrency = 5, ratePerSecond } = {}) {
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    throw invalid(`concurrency must be a whole number from 1 to ${MAX_CONCURRENCY}`);
+  }
+  if (ratePerSecond !== undefined && !(ratePerSecond > 0)) {
+    throw invalid('ratePerSecond must be a positive number');
+  }
+
+  const interval = ratePerSecond ? 1000 / ratePerSecond : 0;
+  let nextStart = performance.now();
+  // Reserve the next start slot and wait for it
+  const throttle = async () => {
+    const now = performance.now();
+    const wait = nextStart - now;
+    nextStart = Math.max(now, nextStart) + interval;
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  };
+
+  const results = new Array(items.length);
+  let next = 0;
+  const started = performance.now();
+
+  const lane = async () => {
+    while (next < items.length) {
+      const index = next++;
+      if (interval) {
+        await throttle();
+      }
+      const start = performance.now();
+      try {
+        const value = await worker(items[index], index);
+        results[index] = { index, ok: true, latencyMs: round(performance.now() - start), value };
+      } catch (error) {
+        results[index] = { index, ok: false, latencyMs: round(performance.now() - start), error };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+
+  return { results, durationMs: round(performance.now() - started) };
+}
+
+// Aggregate batch results: counts, latency percentiles, a histogram of HTTP
+// status codes ("none" when no response came back) and the failed items.
+// `statusOf` gives the HTTP status of a result.
+export function summarizeBatch({ results, durationMs }, statusOf) {
+  const latencies = results.map(result => result.latencyMs).sort((a, b) => a - b);
+  const failures = results.filter(result => !result.ok);
+
+  const statusCodes = {};
+  for (const result of results) {
+    const status = statusOf(result) ?? 'none';
+    statusCodes[status] = (statusCodes[status] || 0) + 1;
+  }
+
+  return {
+    total: results.length,
+    succeeded: results.length - failures.length,
+    failed: failures.length,
+    durationMs,
+    requestsPerSecond: durationMs > 0 ? round((results.length / durationMs) * 1000) : null,
+    latencyMs: {
+      min: latencies[0] ?? null,
+      mean: latencies.length ? round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95),
+      p99: percentile(latencies, 99),
+      max: latencies[latencies.length - 1] ?? null
+    },
+    statusCodes,
+    errors: failures.slice(0, MAX_LISTED_ERRORS).map(result => ({
+      index: result.index,
+      status: statusOf(result) ?? null,
+      error: result.error.message
+    })),
+    ...(failures.length > MAX_LISTED_ERRORS ? { unlistedErrors: failures.length - MAX_LISTED_ERRORS } : {})
+  };
+}
+
+// The absolute path results are written to, checked before the batch runs
+export function resultsFilePath(file) {
+  return batchFilePath(file);
+}
+
+// Write one JSON line per item, in input order, to a file in FILES_DIR
+export function writeResultsFile(file, lines) {
+  const filePath = resultsFilePath(file);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+  return filePath;
+}
@@ -0,0 +1,112 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+const DEFAULT_BASE_URL = 'https://joelfuller.app.n8n.cloud';
+const DEFAULT_CONFIG_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'n8n-instances.json');
+const DEFAULT_TAG = 'mcp-generated';
+
+// Strip trailing slashes so paths can be appended with a single '/'
+const trimUrl = (url) => String(url).replace(/\/+$/, '');
+
+// Turn a raw profile definition into everything the tools need to talk to it
+function createProfile(name, definition, env) {
+  const baseUrl = trimUrl(definition.baseUrl || DEFAULT_BASE_URL);
+  const webhookBaseUrl = trimUrl(definition.webhookBaseUrl || baseUrl);
+  const apiKey = definition.apiKey || (definition.apiKeyEnv ? env[definition.apiKeyEnv] : undefined);
+
+  return {
+    name,
+    baseUrl,
+    apiUrl: `${baseUrl}/api/v1`,
+    apiKey,
+    timeout: definition.timeout,
+    maxRetries: definition.maxRetries,
+    // Tag added to every workflow created on this instance; an empty string turns it off
+    defaultTag: definition.defaultTag ?? env.N8N_DEFAULT_TAG ?? DEFAULT_TAG,
+    urls: {
+      webhook: `${webhookBaseUrl}/${definition.webhookPath || 'webhook'}`,
+      webhookTest: `${webhookBaseUrl}/${definition.webhookTestPath || 'webhook-test'}`,
+      form: `${webhookBaseUrl}/${definition.formPath || 'form'}`,
+      formTest: `${webhookBaseUrl}/${definition.formTestPath || 'form-test'}`
+    }
+  };
+}
+
+// Profiles from the JSON config file: { defaultInstance, instances: { name: {...} } }
+function readConfigFile(configPath) {
+  if (!fs.existsSync(configPath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read n8n instance config ${configPath}: ${error.message}`);
+  }
+}
+
+// Profiles from the environment: N8N_INSTANCES=dev,prod with N8N_DEV_BASE_URL,
+// N8N_DEV_API_KEY, N8N_DEV_WEBHOOK_BASE_URL, ... for each name
+function readEnvProfiles(env) {
+  const names = (env.N8N_INSTANCES || '').split(',').map(name => name.trim()).filter(Boolean);
+
+  return Object.fromEntries(names.map(name => {
+    const prefix = `N8N_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    return [name, {
+      baseUrl: env[`${prefix}BASE_URL`],
+      apiKey: env[`${prefix}API_KEY`],
+      webhookBaseUrl: env[`${prefix}WEBHOOK_BASE_URL`],
+      webhookPath: env[`${prefix}WEBHOOK_PATH`],
+      webhookTestPath: env[`${prefix}WEBHOOK_TEST_PATH`],
+      defaultTag: env[`${prefix}DEFAULT_TAG`]
+    }];
+  }));
+}
+
+// Load all instance profiles. Sources are merged in this order, later ones
+// overriding earlier ones of the same name:
+//   1. N8N_BASE_URL / N8N_API_KEY as the "default" profile
+//   2. the config file (N8N_MCP_CONFIG, or n8n-instances.json next to the server)
+//   3. N8N_INSTANCES env profiles
+export function loadInstances(env = process.env) {
+  const definitions = {};
+
+  if (env.N8N_API_KEY || env.N8N_BASE_URL) {
+    definitions.default = { baseUrl: env.N8N_BASE_URL, apiKey: env.N8N_API_KEY };
+  }
+
+  const file = readConfigFile(env.N8N_MCP_CONFIG || DEFAULT_CONFIG_FILE);
+  Object.assign(definitions, file?.instances || {}, readEnvProfiles(env));
+
+  const names = Object.keys(definitions);
+  const defaultName = env.N8N_DEFAULT_INSTANCE || file?.defaultInstance || (definitions.default ? 'default' : names[0]);
+
+  if (names.length > 0 && !definitions[defaultName]) {
+    throw new Error(`Default n8n instance "${defaultName}" is not configured (configured: ${names.join(', ')})`);
+  }
+
+  return {
+    defaultName,
+    profiles: new Map(names.map(name => [name, createProfile(name, definitions[name], env)]))
+  };
+}
+
+// Pick the profile a tool call asked for, or the default one
+export function resolveInstance(instances, name) {
+  const profileName = name || instances.defaultName;
+  const profile = instances.profiles.get(profileName);
+
+  if (!profile) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown n8n instance "${profileName}". Configured instances: ${[...instances.profiles.keys()].join(', ')}`
+    );
+  }
+  if (!profile.apiKey) {
+    throw new McpError(ErrorCode.InvalidParams, `n8n instance "${profileName}" has no API key configured`);
+  }
+
+  return profile;
+}
@@ -0,0 +1,107 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+// Resolve a node reference by name first, then by id
+export function resolveNode(nodes, ref) {
+  return nodes.find(node => node.name === ref) || nodes.find(node => node.id === ref);
+}
+
+// Build an n8n connections map from a flat list of links.
+// Each link is { source, sourceOutput, target, targetInput } where source and
+// target are node names or ids; sourceOutput picks the output branch (e.g. the
+// true/false outputs of an IF node).
+export function buildConnections(nodes, links) {
+  const connections = {};
+
+  links.forEach((link, index) => {
+    const { source, target, sourceOutput = 0, targetInput = 0 } = link;
+    const label = `Connection #${index + 1} (${source} -> ${target})`;
+
+    if (source === undefined || source === '' || target === undefined || target === '') {
+      throw new McpError(ErrorCode.InvalidParams, `${label} is dangling: both source and target are required`);
+    }
+
+    const sourceNode = resolveNode(nodes, source);
+    if (!sourceNode) {
+      throw new McpError(ErrorCode.InvalidParams, `${label} references unknown source node "${source}"`);
+    }
+    const targetNode = resolveNode(nodes, target);
+    if (!targetNode) {
+      throw new McpError(ErrorCode.InvalidParams, `${label} references unknown target node "${target}"`);
+    }
+    if (!Number.isInteger(sourceOutput) || sourceOutput < 0) {
+      throw new McpError(ErrorCode.InvalidParams, `${label} has an invalid sourceOutput: ${sourceOutput}`);
+    }
+    if (!Number.isInteger(targetInput) || targetInput < 0) {
+      throw new McpError(ErrorCode.InvalidParams, `${label} has an invalid targetInput: ${targetInput}`);
+    }
+
+    if (!connections[sourceNode.name]) {
+      connections[sourceNode.name] = { main: [] };
+    }
+    const outputs = connections[sourceNode.name].main;
+    while (outputs.length <= sourceOutput) {
+      outputs.push([]);
+    }
+
+    const exists = outputs[sourceOutput].some(l => l.node === targetNode.name && l.index === targetInput);
+    if (!exists) {
+      outputs[sourceOutput].push({ node: targetNode.name, type: 'main', index: targetInput });
+    }
+  });
+
+  return connections;
+}
+
+// Wire the caller's nodes in between the trigger and the respond node.
+// The trigger feeds every node nothing else feeds, and every node that feeds
+// nothing ends in the respond node. Links the caller already made from the
+// trigger or into the respond node are left alone.
+export function wireTriggerAndResponse({ trigger, response, nodes, links }) {
+  const refersTo = (ref, node) => ref === node.name || ref === node.id;
+  const wired = [...links];
+
+  if (nodes.length === 0) {
+    return response ? [{ source: trigger.name, target: response.name }] : wired;
+  }
+
+  const hasIncoming = (node) => links.some(link => refersTo(link.target, node));
+  const hasOutgoing = (node) => links.some(link => refersTo(link.source, node));
+
+  if (!links.some(link => refersTo(link.source, trigger))) {
+    for (const node of nodes.filter(n => !hasIncoming(n))) {
+      wired.push({ source: trigger.name, target: node.name });
+    }
+  }
+
+  if (response && !links.some(link => refersTo(link.target, response))) {
+    for (const node of nodes.filter(n => !hasOutgoing(n))) {
+      wired.push({ source: node.name, target: response.name });
+    }
+  }
+
+  return wired;
+}
+
+// Count the links in an n8n connections map
+export function countConnections(connections) {
+  return Object.values(connections).reduce(
+    (total, types) => total + Object.values(types).reduce(
+      (sum, outputs) => sum + outputs.reduce((n, links) => n + (links || []).length, 0),
+      0
+    ),
+    0
+  );
+}
+
+// Visit every link in an n8n connections map
+export function forEachConnectionLink(connections, fn) {
+  for (const sourceName of Object.keys(connections)) {
+    for (const outputs of Object.values(connections[sourceName])) {
+      for (const links of outputs) {
+        for (const link of links || []) {
+          fn(link, sourceName);
+        }
+      }
+    }
+  }
+}
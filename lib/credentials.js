@@ -0,0 +1,131 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { toMcpError } from './n8n-client.js';
+
+// Only these fields ever leave the server; credential data stays in n8n
+const summarizeCredential = (credential) => ({
+  id: credential.id,
+  name: credential.name,
+  type: credential.type,
+  createdAt: credential.createdAt,
+  updatedAt: credential.updatedAt
+});
+
+// List credentials by name and type, following pagination cursors
+export async function listCredentials(instance, { type, nameContains } = {}) {
+  let credentials = [];
+  try {
+    let cursor;
+    do {
+      const page = await instance.api.get('/credentials', { params: { limit: 250, cursor } });
+      credentials.push(...(page.data || []));
+      cursor = page.nextCursor;
+    } while (cursor);
+  } catch (error) {
+    if (error.response?.status === 404 || error.response?.status === 405) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to list credentials: this n8n version's public API cannot list credentials (HTTP ${error.response.status}). ` +
+          'Upgrade n8n, or reference credentials by ID instead of by name',
+        { status: error.response.status, instance: instance.name }
+      );
+    }
+    throw toMcpError(error, 'Failed to list credentials', { instance: instance.name });
+  }
+
+  if (type) {
+    credentials = credentials.filter(credential => credential.type === type);
+  }
+  if (nameContains) {
+    const needle = nameContains.toLowerCase();
+    credentials = credentials.filter(credential => credential.name?.toLowerCase().includes(needle));
+  }
+
+  return credentials.map(summarizeCredential);
+}
+
+// JSON Schema of the data a credential type needs
+export async function getCredentialSchema(instance, type) {
+  try {
+    return await instance.api.get(`/credentials/schema/${encodeURIComponent(type)}`);
+  } catch (error) {
+    throw toMcpError(error, `Failed to get schema of credential type "${type}"`, { instance: instance.name });
+  }
+}
+
+// Create a credential; the response describes it without its data
+export async function createCredential(instance, { name, type, data = {} } = {}) {
+  if (!name || !type) {
+    throw new McpError(ErrorCode.InvalidParams, 'A credential needs a name and a type');
+  }
+
+  try {
+    const created = await instance.api.post('/credentials', { name, type, data });
+    return {
+      success: true,
+      credential: summarizeCredential(created),
+      message: 'Credential created; reference it by name in create_workflow nodes'
+    };
+  } catch (error) {
+    throw toMcpError(error, `Failed to create credential "${name}"`, { instance: instance.name });
+  }
+}
+
+// Find the one credential a reference (ID or name, optionally of a given type) points at
+function findCredential(credentials, ref, type) {
+  const candidates = type ? credentials.filter(credential => credential.type === type) : credentials;
+  const byId = candidates.find(credential => credential.id === ref);
+  if (byId) {
+    return byId;
+  }
+
+  const byName = candidates.filter(credential => credential.name === ref);
+  if (byName.length === 0) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `No ${type ? `${type} ` : ''}credential named "${ref}" exists; create it with create_credential or check list_credentials`
+    );
+  }
+  if (byName.length > 1) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Credential name "${ref}" is ambiguous (${byName.map(c => `${c.type} ${c.id}`).join(', ')}); reference it by ID or give its type`
+    );
+  }
+  return byName[0];
+}
+
+// Does this node reference a credential that still has to be looked up?
+const needsLookup = (node) =>
+  typeof node.credential === 'string' ||
+  Object.values(node.credentials || {}).some(ref => typeof ref === 'string' || (ref && !ref.id));
+
+// Resolve credential references on nodes to the { type: { id, name } } blocks
+// n8n expects. A node can use `credential: "name"`, which takes the type from
+// the credential itself, or `credentials: { type: "name or ID" }`. Blocks that
+// already have an ID are kept as they are.
+export async function resolveNodeCredentials(instance, nodes) {
+  if (!nodes.some(needsLookup)) {
+    return nodes;
+  }
+
+  const credentials = await listCredentials(instance);
+
+  return nodes.map(node => {
+    if (!needsLookup(node)) {
+      return node;
+    }
+
+    const { credential, ...rest } = node;
+    const resolved = {};
+    for (const [type, ref] of Object.entries(node.credentials || {})) {
+      const match = ref?.id ? ref : findCredential(credentials, typeof ref === 'string' ? ref : ref?.name, type);
+      resolved[type] = { id: match.id, name: match.name };
+    }
+    if (credential) {
+      const match = findCredential(credentials, credential);
+      resolved[match.type] = { id: match.id, name: match.name };
+    }
+
+    return { ...rest, credentials: resolved };
+  });
+}
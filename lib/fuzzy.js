@@ -0,0 +1,25 @@
+// Edit distance between two strings, one row at a time
+export function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 1 for equal strings, falling towards 0 as more characters need editing
+export function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+// Lowercase words of a text, split on anything that isn't a letter or digit
+export const words = (text) => String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
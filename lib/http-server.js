@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import http from 'http';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+
+// Comment lines keep idle SSE streams open through proxies and load balancers
+const KEEP_ALIVE_INTERVAL = 25000;
+
+// HTTP mode settings: N8N_MCP_PORT, N8N_MCP_HOST and N8N_MCP_AUTH_TOKEN
+// (several tokens can be given, comma-separated, e.g. one per team member)
+export function loadHttpOptions(env = process.env) {
+  const tokens = (env.N8N_MCP_AUTH_TOKEN || '').split(',').map(token => token.trim()).filter(Boolean);
+  if (tokens.length === 0) {
+    throw new Error('HTTP mode needs N8N_MCP_AUTH_TOKEN: clients must authenticate with "Authorization: Bearer <token>"');
+  }
+
+  return {
+    port: Number(env.N8N_MCP_PORT) || 3000,
+    host: env.N8N_MCP_HOST || '0.0.0.0',
+    tokens
+  };
+}
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+// The configured token the request's bearer token matches, compared in constant time
+function authenticate(req, tokenDigests) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) {
+    return null;
+  }
+
+  const presented = digest(match[1].trim());
+  return tokenDigests.find(token => crypto.timingSafeEqual(token, presented)) || null;
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Serve MCP over HTTP with Server-Sent Events. Every GET /sse opens a session
+// with its own MCP server from `createServer`, owned by the (hashed) token;
+// the client then POSTs its messages to /messages?sessionId=... with the same
+// bearer token.
+export function startHttpServer(createServer, { port, host, tokens }) {
+  const tokenDigests = tokens.map(digest);
+  const sessions = new Map();
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      sendJson(res, 200, { status: 'ok', sessions: sessions.size });
+      return;
+    }
+
+    const token = authenticate(req, tokenDigests);
+    if (!token) {
+      sendJson(res, 401, { error: 'Missing or invalid bearer token' }, { 'WWW-Authenticate': 'Bearer' });
+      return;
+    }
+
+    try {
+      if (req.method === 'GET' && url.pathname === SSE_PATH) {
+        const transport = new SSEServerTransport(MESSAGES_PATH, res);
+        sessions.set(transport.sessionId, { transport, token });
+
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL);
+        res.on('close', () => {
+          clearInterval(keepAlive);
+          sessions.delete(transport.sessionId);
+        });
+
+        // Jobs belong to the token, so they outlive the session that started them
+        await createServer({ owner: token.toString('hex') }).connect(transport);
+        return;
+      }
+
+      if (req.method === 'POST' && url.pathname === MESSAGES_PATH) {
+        const session = sessions.get(url.searchParams.get('sessionId'));
+        // Sessions only accept messages carrying the token that opened them
+        if (!session || !crypto.timingSafeEqual(session.token, token)) {
+          sendJson(res, 404, { error: 'Unknown session; open a new one with GET /sse' });
+          return;
+        }
+
+        await session.transport.handlePostMessage(req, res);
+        return;
+      }
+
+      sendJson(res, 404, { error: `Not found; connect to ${SSE_PATH}` });
+    } catch (error) {
+      console.error('HTTP transport error:', error.message);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: error.message });
+      }
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => resolve(httpServer));
+  });
+}
@@ -0,0 +1,113 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Job statuses after which a job no longer changes
+export const FINAL_JOB_STATUSES = ['success', 'error', 'canceled', 'failed', 'responded'];
+
+// Finished jobs kept per owner for get_job_status; the oldest are dropped first
+const MAX_FINISHED_JOBS = 100;
+
+const isFinished = (job) => FINAL_JOB_STATUSES.includes(job.status);
+
+// Keep track of work that outlives the tool call that started it. `start`
+// registers a job and runs it in the background; the runner reports progress
+// through `update`, ends it with `finish`, and stops when `signal` is aborted.
+// Every job belongs to the `owner` that started it, and only that owner can
+// see or cancel it; to anyone else it doesn't exist. `onFinish(job)` runs once
+// when a job ends, however it ends: finished, failed or cancelled.
+export function createJobTracker({ maxFinished = MAX_FINISHED_JOBS } = {}) {
+  const entries = new Map();
+
+  const find = (id, owner) => {
+    const entry = entries.get(id);
+    if (!entry || entry.owner !== owner) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown job "${id}"; list_jobs shows the jobs this server knows about`);
+    }
+    return entry;
+  };
+
+  const prune = (owner) => {
+    const finished = [...entries.values()].filter(entry => entry.owner === owner && isFinished(entry.job));
+    for (const entry of finished.slice(0, Math.max(finished.length - maxFinished, 0))) {
+      entries.delete(entry.job.id);
+    }
+  };
+
+  const update = (entry, fields) => {
+    Object.assign(entry.job, fields, { updatedAt: new Date().toISOString() });
+  };
+
+  // Finishing is first come, first served: a cancelled job stays cancelled
+  const finish = (entry, status, fields = {}) => {
+    if (isFinished(entry.job)) {
+      return;
+    }
+    update(entry, { ...fields, status, finishedAt: new Date().toISOString() });
+    prune(entry.owner);
+    try {
+      entry.onFinish?.(entry.job);
+    } catch (error) {
+      console.error(`Could not finish job ${entry.job.id}:`, error.message);
+    }
+  };
+
+  return {
+    start(fields, run, { owner, onFinish } = {}) {
+      const now = new Date().toISOString();
+      const entry = {
+        job: { id: uuidv4(), status: 'pending', createdAt: now, updatedAt: now, finishedAt: null, ...fields },
+        owner,
+        onFinish,
+        controller: new AbortController(),
+        attachment: null
+      };
+      entries.set(entry.job.id, entry);
+
+      Promise.resolve()
+        .then(() => run({
+          job: entry.job,
+          signal: entry.controller.signal,
+          update: changes => !isFinished(entry.job) && update(entry, changes),
+          finish: (status, changes) => finish(entry, status, changes),
+          attach: resource => { entry.attachment = resource; }
+        }))
+        .catch(error => finish(entry, 'failed', { error: error.message }));
+
+      return entry.job;
+    },
+
+    // A job and the resource content attached to its result, if any
+    get(id, { owner } = {}) {
+      const { job, attachment } = find(id, owner);
+      return { job, attachment };
+    },
+
+    list({ status, owner } = {}) {
+      return [...entries.values()]
+        .filter(entry => entry.owner === owner)
+        .map(entry => entry.job)
+        .filter(job => !status || job.status === status || (status === 'active' && !isFinished(job)))
+        .reverse();
+    },
+
+    // Cancel a job: `stop(job)` stops its n8n execution when one is known,
+    // then the runner is aborted. If stopping fails, the job keeps running.
+    async cancel(id, stop, { owner } = {}) {
+      const entry = find(id, owner);
+      if (isFinished(entry.job)) {
+        throw new McpError(ErrorCode.InvalidParams, `Job ${id} already finished with status ${entry.job.status}`);
+      }
+
+      if (entry.job.executionId) {
+        await stop(entry.job);
+      }
+      entry.controller.abort();
+      finish(entry, 'canceled', {
+        message: entry.job.executionId
+          ? `Execution ${entry.job.executionId} was stopped`
+          : 'The webhook call was aborted before n8n reported an execution for it; a run that had already started may continue'
+      });
+      return entry.job;
+    }
+  };
+}
@@ -0,0 +1,142 @@
+// Canvas spacing, matching where n8n puts the first node of a new workflow
+const ORIGIN_X = 250;
+const ORIGIN_Y = 300;
+const GAP_X = 220;
+const GAP_Y = 160;
+
+const RESPOND_NODE_TYPE = 'n8n-nodes-base.respondToWebhook';
+
+// Read the main connections as parent/child lists, in output order so the
+// first output of a branching node (e.g. IF true) is laid out above the rest
+function readEdges(nodes, connections) {
+  const children = new Map(nodes.map(node => [node.name, []]));
+  const parents = new Map(nodes.map(node => [node.name, []]));
+
+  for (const [source, types] of Object.entries(connections || {})) {
+    if (!children.has(source)) {
+      continue;
+    }
+    for (const links of types.main || []) {
+      for (const link of links || []) {
+        if (children.has(link.node) && !children.get(source).includes(link.node)) {
+          children.get(source).push(link.node);
+          parents.get(link.node).push(source);
+        }
+      }
+    }
+  }
+
+  return { children, parents };
+}
+
+// Assign each node a column: the longest path to it from a root, ignoring
+// edges that close a loop
+function assignLayers(nodes, children, parents) {
+  const names = nodes.map(node => node.name);
+  const roots = names.filter(name => parents.get(name).length === 0);
+  const backEdges = new Set();
+  const state = new Map();
+  const discovery = [];
+
+  const visit = (name) => {
+    state.set(name, 'active');
+    discovery.push(name);
+    for (const child of children.get(name)) {
+      if (state.get(child) === 'active') {
+        backEdges.add(`${name}\u0000${child}`);
+      } else if (!state.has(child)) {
+        visit(child);
+      }
+    }
+    state.set(name, 'done');
+  };
+  for (const name of [...roots, ...names]) {
+    if (!state.has(name)) {
+      visit(name);
+    }
+  }
+
+  const isForward = (from, to) => !backEdges.has(`${from}\u0000${to}`);
+  const layers = new Map(names.map(name => [name, 0]));
+  const pending = new Map(names.map(name => [name, parents.get(name).filter(p => isForward(p, name)).length]));
+  const queue = names.filter(name => pending.get(name) === 0);
+
+  while (queue.length > 0) {
+    const name = queue.shift();
+    for (const child of children.get(name).filter(c => isForward(name, c))) {
+      layers.set(child, Math.max(layers.get(child), layers.get(name) + 1));
+      pending.set(child, pending.get(child) - 1);
+      if (pending.get(child) === 0) {
+        queue.push(child);
+      }
+    }
+  }
+
+  return { layers, discovery, isForward };
+}
+
+// Compute canvas positions from the connection graph: left-to-right layers,
+// branches spread vertically, respond nodes in the last column. Nodes that
+// already have a position keep it; by default that is every node with a
+// `position`, or pass `keep` with the names to hold in place.
+export function layoutWorkflow(nodes, connections, { keep } = {}) {
+  const fixed = new Set(keep || nodes.filter(node => Array.isArray(node.position)).map(node => node.name));
+  const { children, parents } = readEdges(nodes, connections);
+  const { layers, discovery, isForward } = assignLayers(nodes, children, parents);
+  const byName = new Map(nodes.map(node => [node.name, node]));
+
+  // Respond nodes that end the flow go in the last column
+  const lastLayer = Math.max(0, ...layers.values());
+  for (const node of nodes) {
+    if (node.type === RESPOND_NODE_TYPE && children.get(node.name).length === 0) {
+      layers.set(node.name, lastLayer);
+    }
+  }
+
+  const positions = new Map();
+  for (const name of fixed) {
+    if (byName.get(name)?.position) {
+      positions.set(name, byName.get(name).position);
+    }
+  }
+
+  const isFree = (name) => !positions.has(name);
+  const overlaps = (x, y) => [...positions.values()].some(([px, py]) =>
+    Math.abs(px - x) < GAP_X / 2 && Math.abs(py - y) < GAP_Y / 2
+  );
+
+  const queue = nodes
+    .map(node => node.name)
+    .filter(isFree)
+    .sort((a, b) => layers.get(a) - layers.get(b) || discovery.indexOf(a) - discovery.indexOf(b));
+
+  const unplaced = new Set(queue);
+  for (const name of queue) {
+    const placedParents = parents.get(name).filter(p => positions.has(p) && isForward(p, name));
+    let x = ORIGIN_X + layers.get(name) * GAP_X;
+    let y = ORIGIN_Y;
+
+    if (placedParents.length > 0) {
+      x = Math.max(x, ...placedParents.map(p => positions.get(p)[0] + GAP_X));
+    }
+
+    if (placedParents.length > 1) {
+      // Merge points sit level with the average of their inputs
+      y = placedParents.reduce((sum, p) => sum + positions.get(p)[1], 0) / placedParents.length;
+    } else if (placedParents.length === 1) {
+      // Spread siblings around their parent
+      const parent = placedParents[0];
+      const siblings = children.get(parent).filter(c => isForward(parent, c) && unplaced.has(c));
+      const index = siblings.indexOf(name);
+      y = positions.get(parent)[1] + (index - (siblings.length - 1) / 2) * GAP_Y;
+    }
+
+    y = Math.round(y);
+    while (overlaps(x, y)) {
+      y += GAP_Y;
+    }
+    positions.set(name, [x, y]);
+  }
+
+  return nodes.map(node => ({ ...node, position: positions.get(node.name) || node.position }));
+}
@@ -0,0 +1,174 @@
+import axios from 'axios';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+// Server-defined JSON-RPC error codes (the -32000..-32099 range) for n8n failures
+export const N8nErrorCode = {
+  Unauthorized: -32001,
+  Forbidden: -32003,
+  NotFound: -32004,
+  Conflict: -32009,
+  RateLimited: -32029,
+  UpstreamError: -32050,
+  Unreachable: -32060
+};
+
+export const DEFAULT_TIMEOUT = Number(process.env.N8N_HTTP_TIMEOUT) || 30000;
+export const DEFAULT_MAX_RETRIES = process.env.N8N_MAX_RETRIES !== undefined ? Number(process.env.N8N_MAX_RETRIES) : 3;
+
+const BASE_DELAY = 500;
+const MAX_DELAY = 30000;
+
+// Methods that can be repeated without changing the outcome
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// Gateway errors mean the request may or may not have been handled
+const GATEWAY_STATUSES = [502, 503, 504];
+
+// Connection failures that are usually gone on the next attempt
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Decide whether a failed request is safe and worth repeating
+function shouldRetry(error, idempotent) {
+  if (!error.response) {
+    // A refused connection never reached n8n, so even a POST is safe to repeat
+    if (error.code === 'ECONNREFUSED') {
+      return true;
+    }
+    return idempotent && TRANSIENT_NETWORK_CODES.includes(error.code);
+  }
+
+  // n8n rejects rate-limited requests before handling them
+  if (error.response.status === 429) {
+    return true;
+  }
+  return idempotent && GATEWAY_STATUSES.includes(error.response.status);
+}
+
+// Exponential backoff with jitter, or whatever Retry-After asks for
+function retryDelay(error, attempt) {
+  const retryAfter = error.response?.headers?.['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+    if (!Number.isNaN(delay)) {
+      return Math.min(Math.max(delay, 0), MAX_DELAY);
+    }
+  }
+
+  return Math.min(BASE_DELAY * 2 ** attempt + Math.random() * BASE_DELAY, MAX_DELAY);
+}
+
+// Send an HTTP request, retrying transient failures. Non-idempotent requests
+// (POST, PATCH) are only retried when n8n cannot have acted on them; pass
+// `idempotent: true` for POSTs that are safe to repeat, like activation.
+export async function requestWithRetry(config, { maxRetries = DEFAULT_MAX_RETRIES, idempotent } = {}) {
+  const method = (config.method || 'get').toLowerCase();
+  const safe = idempotent ?? IDEMPOTENT_METHODS.includes(method);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await axios.request({ timeout: DEFAULT_TIMEOUT, ...config });
+    } catch (error) {
+      if (attempt >= maxRetries || !shouldRetry(error, safe)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+      await sleep(retryDelay(error, attempt));
+    }
+  }
+}
+
+// Client for one instance's public API. Methods resolve to the response body.
+export function createApiClient(profile) {
+  const call = async (method, path, { params, data, idempotent } = {}) => {
+    const response = await requestWithRetry(
+      {
+        method,
+        url: `${profile.apiUrl}${path}`,
+        params,
+        data,
+        headers: {
+          'X-N8N-API-KEY': profile.apiKey,
+          ...(data !== undefined ? { 'Content-Type': 'application/json' } : {})
+        },
+        timeout: profile.timeout || DEFAULT_TIMEOUT
+      },
+      { maxRetries: profile.maxRetries ?? DEFAULT_MAX_RETRIES, idempotent }
+    );
+    return response.data;
+  };
+
+  return {
+    get: (path, options) => call('get', path, options),
+    post: (path, data = {}, options) => call('post', path, { ...options, data }),
+    put: (path, data = {}, options) => call('put', path, { ...options, data }),
+    delete: (path, options) => call('delete', path, options)
+  };
+}
+
+// Map a failure to an MCP error code and a hint on how to fix it
+function classify(error, { instance, target }) {
+  const status = error.response?.status;
+  const where = instance ? ` on instance "${instance}"` : '';
+
+  if (!error.response) {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return { code: N8nErrorCode.Unreachable, hint: `The request timed out${where}; the instance may be overloaded, or the timeout is too short` };
+    }
+    return { code: N8nErrorCode.Unreachable, hint: `Could not reach n8n${where}; check the base URL and network access` };
+  }
+
+  if (target === 'webhook') {
+    if (status >= 300 && status < 400) {
+      const location = error.response.headers?.location;
+      return { code: ErrorCode.InternalError, hint: `The webhook redirected${location ? ` to ${location}` : ''}; redirects are not followed, so call the target directly if it should be reached` };
+    }
+    switch (status) {
+      case 404:
+        return { code: N8nErrorCode.NotFound, hint: 'No workflow is listening on this webhook; activate the workflow, or open it in the editor to listen on the test URL' };
+      case 401:
+      case 403:
+        return { code: status === 401 ? N8nErrorCode.Unauthorized : N8nErrorCode.Forbidden, hint: 'The webhook requires authentication; send the credentials it is configured with' };
+    }
+  }
+
+  switch (status) {
+    case 400:
+    case 422:
+      return { code: ErrorCode.InvalidParams, hint: 'n8n rejected the request data; run validate_workflow or check node types and parameters' };
+    case 401:
+      return { code: N8nErrorCode.Unauthorized, hint: `The API key${where} is missing, mistyped or revoked; create a new one under Settings > n8n API` };
+    case 403:
+      return { code: N8nErrorCode.Forbidden, hint: `The API key${where} lacks the scope for this operation (e.g. workflow:write or workflow:delete), or the feature is not available on this n8n plan` };
+    case 404:
+      return { code: N8nErrorCode.NotFound, hint: `The requested resource does not exist${where}, or the public API is disabled` };
+    case 409:
+      return { code: N8nErrorCode.Conflict, hint: 'The request conflicts with the current state, e.g. the webhook path is already used by another active workflow' };
+    case 429:
+      return { code: N8nErrorCode.RateLimited, hint: `n8n is rate limiting requests${where}; wait before trying again` };
+  }
+
+  if (status >= 500) {
+    return { code: N8nErrorCode.UpstreamError, hint: `n8n failed while handling the request${where}; check the instance logs` };
+  }
+  return { code: ErrorCode.InternalError };
+}
+
+// Normalize any failure into an McpError: "<action>: <n8n message> (HTTP 403). <hint>"
+export function toMcpError(error, action, { instance, target = 'api' } = {}) {
+  if (error instanceof McpError) {
+    return error;
+  }
+
+  const status = error.response?.status;
+  const body = error.response?.data;
+  const detail = body?.message || (typeof body === 'string' && body.trim() ? body.slice(0, 200) : error.message);
+  const { code, hint } = classify(error, { instance, target });
+
+  const facts = [status && `HTTP ${status}`, error.attempts > 1 && `${error.attempts} attempts`].filter(Boolean);
+  const message = `${action}: ${detail}${facts.length ? ` (${facts.join(', ')})` : ''}${hint ? `. ${hint}` : ''}`;
+
+  return new McpError(code, message, { status, instance, hint });
+}
@@ -0,0 +1,234 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { similarity, words } from './fuzzy.js';
+
+// Common n8n nodes, bundled so types can be checked before any instance is asked
+const BUNDLED_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'node-types.json');
+
+// Parameters n8n only shows as hints in the editor
+const DISPLAY_ONLY_PARAMETERS = ['notice', 'callout'];
+
+const invalid = (message) => new McpError(ErrorCode.InvalidParams, message);
+
+// Node type names without their package, e.g. "set" for n8n-nodes-base.set
+const shortName = (type) => String(type).split('.').pop().toLowerCase();
+
+const byType = (entries) => new Map(entries.map(entry => [entry.type, entry]));
+
+// One line about a problem nodeTypeProblems found
+export function describeNodeTypeProblem({ node, type, suggestions, typeVersion, versions }) {
+  if (suggestions) {
+    return `node "${node}" has unknown type ${type}` + (suggestions.length ? ` (did you mean ${suggestions.join(', ')}?)` : '');
+  }
+  return `node "${node}" has typeVersion ${typeVersion}, but ${type} has versions ${versions.join(', ')}`;
+}
+
+export function loadBundledNodeTypes() {
+  return JSON.parse(fs.readFileSync(BUNDLED_FILE, 'utf8'));
+}
+
+// Connection types of a node's inputs or outputs. Nodes whose ports depend on
+// their parameters describe them with an expression; those become "dynamic".
+function portTypes(ports) {
+  if (!Array.isArray(ports)) {
+    return ports ? ['dynamic'] : [];
+  }
+  return ports.map(port => (typeof port === 'string' ? port : port.type));
+}
+
+// One parameter of a node description (n8n's INodeProperties), reduced to what
+// is needed to fill it in. Collections list their fields.
+function parameterSchema(property) {
+  const schema = {
+    name: property.name,
+    displayName: property.displayName,
+    type: property.type,
+    default: property.default,
+    ...(property.required ? { required: true } : {}),
+    ...(property.description ? { description: property.description } : {})
+  };
+
+  if (['options', 'multiOptions'].includes(property.type) && Array.isArray(property.options)) {
+    schema.options = property.options.map(option => option.value ?? option.name);
+  } else if (property.type === 'collection' && Array.isArray(property.options)) {
+    schema.fields = property.options.map(parameterSchema);
+  } else if (property.type === 'fixedCollection' && Array.isArray(property.options)) {
+    schema.fields = property.options.map(group => ({
+      name: group.name,
+      displayName: group.displayName,
+      fields: (group.values || []).map(parameterSchema)
+    }));
+  }
+  if (property.displayOptions?.show) {
+    schema.showWhen = property.displayOptions.show;
+  }
+  return schema;
+}
+
+// Turn n8n's node descriptions (GET /types/nodes.json) into catalog entries.
+// Versioned nodes are described once per group of versions; their versions
+// are merged and the newest description wins.
+export function fromNodeDescriptions(descriptions) {
+  const entries = new Map();
+
+  for (const description of descriptions) {
+    const versions = [].concat(description.version ?? 1);
+    const previous = entries.get(description.name);
+    const newest = !previous || Math.max(...versions) > previous.defaultVersion;
+    const allVersions = [...new Set([...(previous?.versions || []), ...versions])].sort((a, b) => a - b);
+
+    const entry = newest
+      ? {
+        type: description.name,
+        displayName: description.displayName,
+        description: description.description || '',
+        group: description.group || [],
+        versions: allVersions,
+        defaultVersion: description.defaultVersion ?? Math.max(...versions),
+        inputs: portTypes(description.inputs),
+        outputs: portTypes(description.outputs),
+        ...(Array.isArray(description.outputNames) ? { outputNames: description.outputNames } : {}),
+        credentials: (description.credentials || []).map(credential => credential.name),
+        parameters: (description.properties || [])
+          .filter(property => !DISPLAY_ONLY_PARAMETERS.includes(property.type))
+          .map(parameterSchema)
+      }
+      : { ...previous, versions: allVersions };
+    entries.set(description.name, entry);
+  }
+
+  return [...entries.values()];
+}
+
+// How well a node matches a search, from 0 (not at all) up; every query word
+// has to appear in the node's type, name, description or groups
+function searchScore(entry, queryWords) {
+  const name = entry.displayName.toLowerCase();
+  const type = entry.type.toLowerCase();
+  const text = `${type} ${name} ${entry.description} ${entry.group.join(' ')}`.toLowerCase();
+
+  if (!queryWords.every(word => text.includes(word))) {
+    return 0;
+  }
+  return queryWords.reduce((score, word) => score +
+    (words(name).includes(word) || shortName(type) === word ? 3 : name.includes(word) || type.includes(word) ? 2 : 1), 0);
+}
+
+// Known node types per instance: the bundled snapshot, plus whatever an
+// instance reported about itself (including community nodes) once refreshed
+export function createNodeCatalog(bundled = loadBundledNodeTypes()) {
+  const bundledTypes = byType(bundled);
+  const refreshed = new Map();
+
+  const typesFor = (instanceName) => refreshed.get(instanceName)?.types || bundledTypes;
+
+  // Close matches for a type that doesn't exist, to suggest instead
+  const suggest = (instanceName, type) => [...typesFor(instanceName).values()]
+    .map(entry => ({ type: entry.type, score: similarity(shortName(type), shortName(entry.type)) }))
+    .filter(match => match.score >= 0.6)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 3)
+    .map(match => match.type);
+
+  // What is wrong with the types of nodes, one entry per node: an unknown type
+  // as { node, type, suggestions }, or a typeVersion the type doesn't have as
+  // { node, type, typeVersion, versions }. Versions are only checked against a
+  // catalog the instance reported itself, since the bundled one may be older
+  // than the instance. Nodes without a type are left to the validator.
+  const nodeTypeProblems = (instanceName, nodes) => nodes.flatMap(node => {
+    if (!node.type) {
+      return [];
+    }
+    const entry = typesFor(instanceName).get(node.type);
+    if (!entry) {
+      return [{ node: node.name, type: node.type, suggestions: suggest(instanceName, node.type) }];
+    }
+    const versioned = node.typeVersion !== undefined && node.typeVersion !== null;
+    if (versioned && refreshed.has(instanceName) && !entry.versions.includes(node.typeVersion)) {
+      return [{ node: node.name, type: node.type, typeVersion: node.typeVersion, versions: entry.versions }];
+    }
+    return [];
+  });
+
+  return {
+    // Where an instance's catalog comes from and how many types it knows
+    info(instanceName) {
+      const own = refreshed.get(instanceName);
+      return own
+        ? { source: 'instance', refreshedAt: own.refreshedAt, count: own.types.size }
+        : { source: 'bundled', refreshedAt: null, count: bundledTypes.size };
+    },
+
+    isRefreshed(instanceName) {
+      return refreshed.has(instanceName);
+    },
+
+    // Replace an instance's catalog with its own node descriptions. Bundled
+    // types it didn't report stay known.
+    refresh(instanceName, descriptions) {
+      const reported = fromNodeDescriptions(descriptions);
+      const types = new Map([...bundledTypes, ...byType(reported)]);
+      refreshed.set(instanceName, { types, refreshedAt: new Date().toISOString() });
+      return {
+        reported: reported.length,
+        count: types.size,
+        added: reported.filter(entry => !bundledTypes.has(entry.type)).map(entry => entry.type)
+      };
+    },
+
+    get(instanceName, type) {
+      return typesFor(instanceName).get(type) || null;
+    },
+
+    // A node type with its parameter schema, or an error suggesting similar types
+    describe(instanceName, type) {
+      const entry = typesFor(instanceName).get(type);
+      if (!entry) {
+        const similar = suggest(instanceName, type);
+        throw invalid(`Unknown node type ${type}` + (similar.length ? `; did you mean ${similar.join(', ')}?` : '; search_node_types finds types by name'));
+      }
+      return entry;
+    },
+
+    // Node types matching a free-text query and/or a group, best match first
+    search(instanceName, { query = '', group, limit = 20 } = {}) {
+      const queryWords = words(query);
+      return [...typesFor(instanceName).values()]
+        .filter(entry => !group || entry.group.includes(group))
+        .map(entry => ({ entry, score: queryWords.length ? searchScore(entry, queryWords) : 1 }))
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score || a.entry.displayName.localeCompare(b.entry.displayName))
+        .slice(0, limit)
+        .map(({ entry }) => ({
+          type: entry.type,
+          displayName: entry.displayName,
+          description: entry.description,
+          group: entry.group,
+          defaultVersion: entry.defaultVersion
+        }));
+    },
+
+    // The problems resolveNodes would refuse nodes for, without throwing
+    nodeTypeProblems,
+
+    // Check node types before a workflow is sent to n8n and fill in the
+    // default typeVersion where none is given. The error lists every problem,
+    // and carries them as `data.problems`.
+    resolveNodes(instanceName, nodes, { note = '' } = {}) {
+      const problems = nodeTypeProblems(instanceName, nodes);
+      if (problems.length > 0) {
+        const hint = problems.some(problem => problem.suggestions) ? `. search_node_types lists the known types${note}` : '';
+        throw new McpError(ErrorCode.InvalidParams, `${problems.map(describeNodeTypeProblem).join('; ')}${hint}`, { problems });
+      }
+
+      return nodes.map(node => {
+        const entry = node.type && typesFor(instanceName).get(node.type);
+        return entry && (node.typeVersion === undefined || node.typeVersion === null)
+          ? { ...node, typeVersion: entry.defaultVersion }
+          : node;
+      });
+    }
+  };
+}
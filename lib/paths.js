@@ -0,0 +1,36 @@
+import fs from 'fs';
+import path from 'path';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+// The real location of a path that may not exist yet: its nearest existing
+// ancestor with symlinks resolved, plus the rest
+function realLocation(target) {
+  const missing = [];
+  let existing = target;
+  while (!fs.existsSync(existing) && path.dirname(existing) !== existing) {
+    missing.unshift(path.basename(existing));
+    existing = path.dirname(existing);
+  }
+  return path.join(fs.realpathSync(existing), ...missing);
+}
+
+const isInside = (root, target) => {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith(`..${path.sep}`) && relative !== '..' && !path.isAbsolute(relative));
+};
+
+// Resolve a path a client gave against the directory it is confined to, and
+// refuse it when it ends up outside: absolute paths elsewhere, `..` climbing
+// out, or a symlink inside pointing away. `setting` names the environment
+// variable that configures the directory, for the error message.
+export function resolveInside(directory, target, setting) {
+  const root = path.resolve(directory);
+  const resolved = path.resolve(root, String(target));
+  if (!isInside(root, resolved) || !isInside(realLocation(root), realLocation(resolved))) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `${target} is outside ${root}; paths are resolved against ${setting} and must stay inside it`
+    );
+  }
+  return resolved;
+}
@@ -0,0 +1,198 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+import { countConnections } from './connections.js';
+
+// The policy file unless N8N_MCP_POLICY names another; without one, nothing is restricted
+const DEFAULT_POLICY_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'n8n-policy.json');
+
+// Server-defined JSON-RPC error code for requests the policy blocks
+export const POLICY_VIOLATION = -32040;
+
+// Tools that neither change anything on n8n nor run workflows; the only ones
+// allowed in read-only mode. Tools not listed here count as writes.
+export const READ_ONLY_TOOLS = [
+  'list_instances',
+  'get_job_status',
+  'list_jobs',
+  'list_templates',
+  'validate_workflow',
+  'list_executions',
+  'get_execution',
+  'list_workflows',
+  'get_workflow',
+  'list_snapshots',
+  'diff_workflow',
+  'lookup_workflow',
+  'find_webhook',
+  'search_node_types',
+  'describe_node_type',
+  'list_credentials',
+  'get_credential_schema',
+  'list_tags'
+];
+
+// Tools that change nothing on n8n but write local files or server state:
+// exported workflows, snapshots, the registry and the node catalog. Read-only
+// mode only allows them when the policy sets localWrites.
+export const LOCAL_WRITE_TOOLS = [
+  'export_workflow',
+  'snapshot_workflow',
+  'sync_registry',
+  'refresh_node_catalog'
+];
+
+// Every rule a policy (or an instance's overrides) may set, and its type
+const RULE_TYPES = {
+  readOnly: 'boolean',
+  localWrites: 'boolean',
+  nodeTypes: 'object',
+  maxNodes: 'number',
+  maxConnections: 'number',
+  autoActivate: 'boolean',
+  webhookHosts: 'array'
+};
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : typeof value);
+
+// Reject unknown rules and wrong types, so a typo never silently lifts a restriction
+function checkRules(rules, where) {
+  if (!rules || typeOf(rules) !== 'object') {
+    throw new Error(`${where} must be an object`);
+  }
+  for (const [rule, value] of Object.entries(rules)) {
+    if (!RULE_TYPES[rule]) {
+      throw new Error(`${where} has an unknown rule "${rule}" (rules: ${Object.keys(RULE_TYPES).join(', ')})`);
+    }
+    if (typeOf(value) !== RULE_TYPES[rule]) {
+      throw new Error(`${where}: ${rule} must be ${RULE_TYPES[rule] === 'array' ? 'an array' : `a ${RULE_TYPES[rule]}`}`);
+    }
+  }
+  for (const [list, value] of Object.entries(rules.nodeTypes || {})) {
+    if (!['allow', 'deny'].includes(list) || !Array.isArray(value)) {
+      throw new Error(`${where}: nodeTypes only takes "allow" and "deny" arrays of node types`);
+    }
+  }
+}
+
+// Case-insensitive match against a pattern where * stands for anything
+function matchesPattern(value, pattern) {
+  const source = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i').test(value);
+}
+
+// A host pattern with a port is compared with host:port, otherwise with the host name
+function matchesHost(url, pattern) {
+  return matchesPattern(String(pattern).includes(':') ? url.host : url.hostname, pattern);
+}
+
+function violation(rule, message, instanceName) {
+  return new McpError(POLICY_VIOLATION, `Blocked by policy rule "${rule}": ${message}`, { rule, instance: instanceName });
+}
+
+// Build a policy from its definition: rules for every instance, plus
+// `instances: { name: {...} }` overriding them for one instance
+export function createPolicy(definition = {}) {
+  const { instances = {}, ...base } = definition;
+  checkRules(base, 'The policy');
+  for (const [name, overrides] of Object.entries(instances)) {
+    checkRules(overrides, `The policy for instance "${name}"`);
+  }
+
+  // The rules that apply on an instance; node type lists merge per list
+  const rulesFor = (instanceName) => {
+    const overrides = instances[instanceName] || {};
+    const nodeTypes = { ...base.nodeTypes, ...overrides.nodeTypes };
+    return {
+      ...base,
+      ...overrides,
+      ...(Object.keys(nodeTypes).length > 0 ? { nodeTypes } : {})
+    };
+  };
+
+  return {
+    rulesFor,
+
+    // Called before every tool: read-only mode only lets READ_ONLY_TOOLS
+    // through, LOCAL_WRITE_TOOLS with localWrites, and cleanup_workflows and
+    // sync_registry only as dry runs
+    assertTool(instanceName, tool, args = {}) {
+      const rules = rulesFor(instanceName);
+      if (!rules.readOnly) {
+        return;
+      }
+      const dryRun = (tool === 'cleanup_workflows' && args.dryRun !== false) ||
+        (tool === 'sync_registry' && args.dryRun === true);
+      if (READ_ONLY_TOOLS.includes(tool) || dryRun || (rules.localWrites && LOCAL_WRITE_TOOLS.includes(tool))) {
+        return;
+      }
+      const where = instanceName ? ` on instance "${instanceName}"` : '';
+      throw LOCAL_WRITE_TOOLS.includes(tool)
+        ? violation('readOnly', `${tool} writes local files or server state, which read-only mode only allows with localWrites${where}`, instanceName)
+        : violation('readOnly', `${tool} is not allowed in read-only mode${where}`, instanceName);
+    },
+
+    // Check a workflow's node types and size before it is sent to n8n
+    assertWorkflow(instanceName, { nodes = [], connections = {} }) {
+      const rules = rulesFor(instanceName);
+      const { allow, deny = [] } = rules.nodeTypes || {};
+
+      for (const node of nodes) {
+        if (deny.some(pattern => matchesPattern(node.type, pattern))) {
+          throw violation('nodeTypes.deny', `node "${node.name}" has type ${node.type}, which is denied`, instanceName);
+        }
+        if (allow && !allow.some(pattern => matchesPattern(node.type, pattern))) {
+          throw violation('nodeTypes.allow', `node "${node.name}" has type ${node.type}, which is not on the allow list`, instanceName);
+        }
+      }
+
+      if (rules.maxNodes !== undefined && nodes.length > rules.maxNodes) {
+        throw violation('maxNodes', `the workflow has ${nodes.length} nodes; at most ${rules.maxNodes} are allowed`, instanceName);
+      }
+      const links = countConnections(connections);
+      if (rules.maxConnections !== undefined && links > rules.maxConnections) {
+        throw violation('maxConnections', `the workflow has ${links} connections; at most ${rules.maxConnections} are allowed`, instanceName);
+      }
+    },
+
+    // Whether create_workflow and import_workflow may activate what they create
+    allowsAutoActivation(instanceName) {
+      return rulesFor(instanceName).autoActivate !== false;
+    },
+
+    // Webhook calls may go to the instance's own hosts (`ownUrls`) and to
+    // hosts matching webhookHosts. Without webhookHosts, any host is allowed.
+    assertWebhookUrl(instanceName, webhookUrl, ownUrls = []) {
+      const { webhookHosts } = rulesFor(instanceName);
+      if (!webhookHosts) {
+        return;
+      }
+
+      let url;
+      try {
+        url = new URL(webhookUrl);
+      } catch {
+        throw violation('webhookHosts', `${webhookUrl} is not a valid URL`, instanceName);
+      }
+      const ownHosts = ownUrls.map(own => new URL(own).host);
+      if (!ownHosts.includes(url.host) && !webhookHosts.some(pattern => matchesHost(url, pattern))) {
+        throw violation('webhookHosts', `${url.host} is not an allowed webhook host (allowed: ${[...new Set(ownHosts), ...webhookHosts].join(', ')})`, instanceName);
+      }
+    }
+  };
+}
+
+// Load the policy file, or an unrestricted policy when there is none. An
+// invalid file stops the server rather than leaving it unrestricted.
+export function loadPolicy(file = process.env.N8N_MCP_POLICY || DEFAULT_POLICY_FILE) {
+  if (!fs.existsSync(file)) {
+    return createPolicy();
+  }
+
+  try {
+    return createPolicy(JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (error) {
+    throw new Error(`Could not load policy file ${file}: ${error.message}`);
+  }
+}
@@ -0,0 +1,146 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+const INSTANCE_ARGUMENT = {
+  name: 'instance',
+  description: 'n8n instance profile to use; the default one when omitted',
+  required: false
+};
+
+export const PROMPTS = [
+  {
+    name: 'build_webhook_api',
+    description: 'Design and create a webhook API workflow that does what you describe',
+    arguments: [
+      { name: 'goal', description: 'What the API should do, e.g. "accept an order and post it to Slack"', required: true },
+      INSTANCE_ARGUMENT
+    ]
+  },
+  {
+    name: 'debug_workflow',
+    description: 'Find out why a workflow fails, from its current definition and its recent failed executions',
+    arguments: [
+      { name: 'id', description: 'Workflow ID', required: true },
+      INSTANCE_ARGUMENT
+    ]
+  },
+  {
+    name: 'add_error_handling',
+    description: 'Add input checks and error paths to a workflow, based on its current definition and recent failures',
+    arguments: [
+      { name: 'id', description: 'Workflow ID', required: true },
+      INSTANCE_ARGUMENT
+    ]
+  }
+];
+
+// Check a prompt exists and got its required arguments
+export function assertPromptArguments(name, args = {}) {
+  const prompt = PROMPTS.find(p => p.name === name);
+  if (!prompt) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+
+  const missing = prompt.arguments.filter(arg => arg.required && !args[arg.name]).map(arg => arg.name);
+  if (missing.length > 0) {
+    throw new McpError(ErrorCode.InvalidParams, `Prompt ${name} needs the argument(s): ${missing.join(', ')}`);
+  }
+  return prompt;
+}
+
+const text = (value) => ({ role: 'user', content: { type: 'text', text: value } });
+
+const resource = (uri, data) => ({
+  role: 'user',
+  content: {
+    type: 'resource',
+    resource: { uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }
+  }
+});
+
+const schemaBlock = (tool) => `\`\`\`json\n${JSON.stringify(tool.inputSchema, null, 2)}\n\`\`\``;
+
+// One line per failed execution: when, where and why
+function describeFailures(failures) {
+  if (failures.length === 0) {
+    return 'No failed executions were found among the most recent ones. Ask for the input that makes it fail, or run it with execute_workflow_webhook and waitForCompletion to reproduce the problem.';
+  }
+
+  return `Its most recent failed executions:\n${failures.map(execution => {
+    const failedNode = execution.nodes?.find(node => node.error);
+    const where = failedNode ? `node "${failedNode.node}" failed` : `stopped in "${execution.lastNodeExecuted || 'an unknown node'}"`;
+    const why = execution.error || failedNode?.error;
+    return `- ${execution.id} at ${execution.startedAt}: ${where}${why ? ` with "${why}"` : ''}`;
+  }).join('\n')}`;
+}
+
+// Ask for a new webhook workflow, quoting create_workflow's input schema and the templates
+export function buildWebhookApiPrompt({ goal, instance, createWorkflowTool, templates }) {
+  const templateList = templates.map(template => `- ${template.id}: ${template.description}`).join('\n');
+
+  return {
+    description: `Build a webhook API: ${goal}`,
+    messages: [
+      text(`Build an n8n webhook API on instance "${instance.name}" that does the following:
+
+${goal}
+
+Create it with the create_workflow tool. Its exact input schema is:
+
+${schemaBlock(createWorkflowTool)}
+
+Guidelines:
+- By default the workflow gets a POST webhook trigger that answers through a "Respond to Webhook" node. Request data is available to nodes as $json.body, $json.query and $json.headers.
+- Use real n8n node types with a typeVersion, e.g. n8n-nodes-base.httpRequest 4.2, n8n-nodes-base.set 3.4, n8n-nodes-base.if 2 and n8n-nodes-base.code 2.
+- Reference credentials by name; list_credentials shows the ones that exist.
+- Wire IF and Switch branches with sourceOutput, and end every branch in a respond node or leave it unwired to use the default one.
+- Check the arguments with validate_workflow first and fix any errors it reports.
+- If one of these templates already fits, use create_workflow_from_template instead:
+${templateList}
+
+After creating the workflow, call execute_workflow_webhook with a realistic payload and waitForCompletion: true, and check the response matches the goal.`)
+    ]
+  };
+}
+
+// Ask for the cause of a workflow's failures, with its definition and failed executions attached
+export function debugWorkflowPrompt({ workflow, workflowUri, executionsUri, failures }) {
+  return {
+    description: `Debug workflow "${workflow.name}" (${workflow.id})`,
+    messages: [
+      text(`The n8n workflow "${workflow.name}" (${workflow.id}) is not working as expected. Find the cause and propose a fix.
+
+${describeFailures(failures)}
+
+Its current definition and the failed executions are attached. For the full input and output of every node in an execution, call get_execution with includeData: true.
+
+Explain the root cause first. Then fix the workflow with update_workflow rather than recreating it, so its ID and webhook URLs stay the same, and run it again to confirm the fix.`),
+      resource(workflowUri, workflow),
+      ...(failures.length > 0 ? [resource(executionsUri, { failedExecutions: failures })] : [])
+    ]
+  };
+}
+
+// Ask for error paths in a workflow, quoting update_workflow's input schema
+export function errorHandlingPrompt({ workflow, workflowUri, failures, updateWorkflowTool }) {
+  return {
+    description: `Add error handling to workflow "${workflow.name}" (${workflow.id})`,
+    messages: [
+      text(`Add error handling to the n8n workflow "${workflow.name}" (${workflow.id}).
+
+${describeFailures(failures)}
+
+Its current definition is attached. Make it fail gracefully:
+- Check the input it depends on with an IF node and reject invalid requests early. In webhook workflows, answer them with a Respond to Webhook node that has options.responseCode 400 and a JSON error body.
+- Give steps that call external systems an error path: set onError: "continueErrorOutput" on them through updateNodes, add a node that builds an error response or notification, and connect the step's error output to it. The error output comes after the node's regular outputs, so it is sourceOutput 1 on a node with one output. Use retryOnFail and maxTries for steps that may fail only briefly.
+- A webhook workflow must answer every request, so every branch, including the error ones, must end in a Respond to Webhook node.
+- Keep the existing trigger; its webhook URL must not change.
+
+Make the changes with update_workflow, whose exact input schema is:
+
+${schemaBlock(updateWorkflowTool)}
+
+update_workflow validates the result and refuses changes with errors. Summarize what you added and why.`),
+      resource(workflowUri, workflow)
+    ]
+  };
+}
@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { similarity, words } from './fuzzy.js';
+
+// The registry of workflows this server created, shared by every instance profile
+export const REGISTRY_FILE = process.env.N8N_REGISTRY_FILE ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'n8n-registry.json');
+
+// find_webhook leaves out matches scoring below this
+const MIN_MATCH_SCORE = 0.4;
+
+// How well a query matches a workflow, from 0 to 1. An exact or contained
+// name scores highest; otherwise each query word is matched against the words
+// of the name, webhook path and description, allowing prefixes and typos.
+export function matchScore(query, entry) {
+  const needle = String(query).toLowerCase().trim();
+  const name = String(entry.name || '').toLowerCase();
+  if (!needle) {
+    return 0;
+  }
+  if (name === needle) {
+    return 1;
+  }
+  if (name.includes(needle)) {
+    return 0.9;
+  }
+
+  const candidates = [...words(entry.name), ...words(entry.webhookPath), ...words(entry.description)];
+  const queryWords = words(needle);
+  if (queryWords.length === 0 || candidates.length === 0) {
+    return 0;
+  }
+  const wordScore = queryWords.reduce((sum, word) => sum + Math.max(
+    ...candidates.map(candidate => (candidate.startsWith(word) ? 1 : similarity(word, candidate)))
+  ), 0) / queryWords.length;
+
+  return Math.round(Math.max(wordScore * 0.85, similarity(needle, name)) * 100) / 100;
+}
+
+// A JSON file recording every workflow this server created: its trigger, URLs
+// and how it last ran, so they can be found again without digging through
+// nodes. The file is read on every call, so servers sharing it stay in step.
+export function createWorkflowRegistry({ file = REGISTRY_FILE } = {}) {
+  const load = () => {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8')).workflows || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new McpError(ErrorCode.InternalError, `Cannot read the workflow registry ${file}: ${error.message}`);
+    }
+  };
+
+  // Write through a temporary file, so a crash never leaves half a registry
+  const store = (workflows) => {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const temporary = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, `${JSON.stringify({ workflows }, null, 2)}\n`);
+    fs.renameSync(temporary, file);
+  };
+
+  const matches = (instanceName, id) => (entry) => entry.instance === instanceName && entry.id === id;
+
+  // Registered workflows of an instance, oldest first
+  const list = (instanceName) => load().filter(entry => entry.instance === instanceName);
+
+  return {
+    // Add a workflow, or replace the entry it already has
+    record(instanceName, fields) {
+      const workflows = load().filter(entry => !matches(instanceName, fields.id)(entry));
+      const now = new Date().toISOString();
+      const entry = { instance: instanceName, createdAt: now, updatedAt: now, lastExecution: null, ...fields };
+      workflows.push(entry);
+      store(workflows);
+      return entry;
+    },
+
+    // Change some fields of a registered workflow; unregistered ones are left alone
+    update(instanceName, id, fields) {
+      const workflows = load();
+      const entry = workflows.find(matches(instanceName, id));
+      if (!entry) {
+        return null;
+      }
+      Object.assign(entry, fields, { updatedAt: new Date().toISOString() });
+      store(workflows);
+      return entry;
+    },
+
+    remove(instanceName, id) {
+      const workflows = load();
+      const kept = workflows.filter(entry => !matches(instanceName, id)(entry));
+      if (kept.length !== workflows.length) {
+        store(kept);
+      }
+      return kept.length !== workflows.length;
+    },
+
+    list,
+
+    // A workflow by ID, or by name ignoring case. Several workflows with the
+    // same name are all returned, newest first.
+    lookup(instanceName, { id, name } = {}) {
+      const entries = list(instanceName);
+      if (id) {
+        return entries.filter(entry => entry.id === id);
+      }
+      const wanted = String(name).toLowerCase();
+      return entries.filter(entry => String(entry.name).toLowerCase() === wanted).reverse();
+    },
+
+    byWebhookPath(instanceName, webhookPath) {
+      return list(instanceName).find(entry => entry.webhookPath === webhookPath) || null;
+    },
+
+    // Registered workflows whose name, path or description resemble the query, best first
+    search(instanceName, query, { limit = 5 } = {}) {
+      return list(instanceName)
+        .map(entry => ({ score: matchScore(query, entry), entry }))
+        .filter(match => match.score >= MIN_MATCH_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    }
+  };
+}
@@ -0,0 +1,125 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+// How often subscribed resources are checked for changes made outside this server
+export const RESOURCE_POLL_INTERVAL = process.env.N8N_RESOURCE_POLL_INTERVAL !== undefined
+  ? Number(process.env.N8N_RESOURCE_POLL_INTERVAL)
+  : 30000;
+
+export const WORKFLOWS_URI = 'n8n://workflows';
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'n8n://workflow/{id}',
+    name: 'n8n workflow',
+    description: 'Full JSON definition of a workflow. Append ?instance=<name> for a non-default instance.',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'n8n://workflow/{id}/executions',
+    name: 'n8n workflow executions',
+    description: 'Most recent executions of a workflow. Append ?instance=<name> for a non-default instance.',
+    mimeType: 'application/json'
+  }
+];
+
+// URI of a workflow (or its executions) on an instance; only non-default
+// instances are named in the URI
+export function workflowUri(instances, instance, id, suffix = '') {
+  const query = instance.name !== instances.defaultName ? `?instance=${encodeURIComponent(instance.name)}` : '';
+  return `n8n://workflow/${encodeURIComponent(id)}${suffix}${query}`;
+}
+
+export function workflowsUri(instances, instance) {
+  return instance.name !== instances.defaultName ? `${WORKFLOWS_URI}?instance=${encodeURIComponent(instance.name)}` : WORKFLOWS_URI;
+}
+
+// Split an n8n:// URI into what it points at: { kind, id, instance }
+export function parseResourceUri(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    url = null;
+  }
+
+  if (url?.protocol === 'n8n:') {
+    const instance = url.searchParams.get('instance') || undefined;
+    const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (url.hostname === 'workflows' && segments.length === 0) {
+      return { kind: 'workflows', instance };
+    }
+    if (url.hostname === 'workflow' && segments.length === 1) {
+      return { kind: 'workflow', id: segments[0], instance };
+    }
+    if (url.hostname === 'workflow' && segments.length === 2 && segments[1] === 'executions') {
+      return { kind: 'executions', id: segments[0], instance };
+    }
+  }
+
+  throw new McpError(
+    ErrorCode.InvalidParams,
+    `Unknown resource URI "${uri}". Supported: ${WORKFLOWS_URI}, ${RESOURCE_TEMPLATES.map(t => t.uriTemplate).join(', ')}`
+  );
+}
+
+// Track resource subscriptions and tell the client when a subscribed resource
+// changes. Changes made through this server are reported with `changed(uri)`;
+// changes made elsewhere (e.g. in the n8n editor) are found by polling
+// `fingerprint(uri)` while anything is subscribed.
+export function createResourceWatcher({ fingerprint, notify, interval = RESOURCE_POLL_INTERVAL }) {
+  const subscriptions = new Map();
+  let timer = null;
+
+  const poll = async () => {
+    for (const [uri, last] of subscriptions) {
+      try {
+        const current = await fingerprint(uri);
+        if (subscriptions.has(uri) && current !== last) {
+          subscriptions.set(uri, current);
+          await notify(uri);
+        }
+      } catch (error) {
+        console.error(`Could not check ${uri} for changes:`, error.message);
+      }
+    }
+  };
+
+  const schedule = () => {
+    if (!timer && interval > 0 && subscriptions.size > 0) {
+      timer = setInterval(poll, interval);
+      timer.unref?.();
+    }
+    if (timer && subscriptions.size === 0) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return {
+    async subscribe(uri) {
+      parseResourceUri(uri);
+      subscriptions.set(uri, await fingerprint(uri).catch(() => null));
+      schedule();
+    },
+
+    unsubscribe(uri) {
+      subscriptions.delete(uri);
+      schedule();
+    },
+
+    // Notify right away about a change this server made
+    async changed(uri) {
+      if (!subscriptions.has(uri)) {
+        return;
+      }
+      subscriptions.set(uri, await fingerprint(uri).catch(() => null));
+      await notify(uri);
+    },
+
+    stop() {
+      subscriptions.clear();
+      schedule();
+    }
+  };
+}
@@ -0,0 +1,228 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { normalizeWorkflow } from './workflow-files.js';
+
+// Snapshots are kept here: one directory per instance, then per workflow
+export const SNAPSHOT_DIR = process.env.N8N_SNAPSHOT_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'snapshots');
+
+// Snapshots kept per workflow; the oldest are dropped first. 0 keeps them all.
+export const SNAPSHOT_LIMIT = Number.parseInt(process.env.N8N_SNAPSHOT_LIMIT || '50', 10);
+
+// Node fields left out of diffs: where a node sits in the editor isn't a change in behaviour
+const LAYOUT_NODE_FIELDS = ['position'];
+
+const invalid = (message) => new McpError(ErrorCode.InvalidParams, message);
+
+// Instance names and workflow IDs become directory names
+const safeName = (value) => String(value).replace(/[^\w.-]/g, '_');
+
+// Sortable, file-system safe time stamp: 20240101T120000123Z
+const timestamp = (date) => date.toISOString().replace(/[-:.]/g, '');
+
+// Snapshots saved in the same millisecond are numbered, zero-padded so that
+// file names still sort in the order they were saved
+const sequence = (n) => String(n).padStart(3, '0');
+
+// What list_snapshots shows about a snapshot; the workflow itself stays on disk
+function describeSnapshot({ workflow, ...snapshot }) {
+  return {
+    ...snapshot,
+    name: workflow.name,
+    active: Boolean(workflow.active),
+    nodes: (workflow.nodes || []).length
+  };
+}
+
+// Keep full workflow definitions on disk, so earlier versions can be compared
+// and restored after n8n has overwritten them. Each snapshot is one JSON file
+// named after the time it was taken, a sequence number and why:
+// 20240101T120000123Z-000-update.json. `now` is the clock snapshots are dated by.
+export function createSnapshotStore({ directory = SNAPSHOT_DIR, limit = SNAPSHOT_LIMIT, now = () => new Date() } = {}) {
+  const workflowDir = (instanceName, workflowId) =>
+    path.resolve(directory, safeName(instanceName), safeName(workflowId));
+
+  // Snapshot file names, oldest first
+  const files = (instanceName, workflowId) => {
+    try {
+      return fs.readdirSync(workflowDir(instanceName, workflowId)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  };
+
+  const load = (instanceName, workflowId, file) =>
+    JSON.parse(fs.readFileSync(path.join(workflowDir(instanceName, workflowId), file), 'utf8'));
+
+  return {
+    // Save a workflow as fetched from the API. `reason` says what prompted the
+    // snapshot (create, update, activate, manual, ...).
+    save(instanceName, workflow, { reason, note } = {}) {
+      const dir = workflowDir(instanceName, workflow.id);
+      fs.mkdirSync(dir, { recursive: true });
+
+      const createdAt = now();
+      const stamp = timestamp(createdAt);
+      // Number after the highest sequence of this stamp still on disk; pruning
+      // may have removed lower ones, so counting files could reuse a number
+      let next = files(instanceName, workflow.id)
+        .filter(file => file.startsWith(`${stamp}-`))
+        .reduce((highest, file) => Math.max(highest, Number.parseInt(file.slice(stamp.length + 1), 10) + 1), 0);
+
+      // Never overwrite: if another save took the number first, use the next one
+      let snapshot;
+      for (;;) {
+        const id = `${stamp}-${sequence(next)}-${safeName(reason)}`;
+        snapshot = {
+          id,
+          workflowId: workflow.id,
+          instance: instanceName,
+          reason,
+          ...(note ? { note } : {}),
+          createdAt: createdAt.toISOString(),
+          workflow
+        };
+        try {
+          fs.writeFileSync(path.join(dir, `${id}.json`), `${JSON.stringify(snapshot, null, 2)}\n`, { flag: 'wx' });
+          break;
+        } catch (error) {
+          if (error.code !== 'EEXIST') {
+            throw error;
+          }
+          next += 1;
+        }
+      }
+      const { id } = snapshot;
+
+      if (limit > 0) {
+        const saved = files(instanceName, workflow.id).filter(file => file !== `${id}.json`);
+        for (const file of saved.slice(0, Math.max(saved.length + 1 - limit, 0))) {
+          fs.rmSync(path.join(dir, file), { force: true });
+        }
+      }
+      return describeSnapshot(snapshot);
+    },
+
+    // Snapshots of a workflow, newest first
+    list(instanceName, workflowId) {
+      return files(instanceName, workflowId).reverse().map(file => describeSnapshot(load(instanceName, workflowId, file)));
+    },
+
+    // A snapshot with its workflow
+    read(instanceName, workflowId, snapshotId) {
+      if (!/^[\w.-]+$/.test(String(snapshotId)) || String(snapshotId).includes('..')) {
+        throw invalid(`Invalid snapshot ID "${snapshotId}"`);
+      }
+      if (!files(instanceName, workflowId).includes(`${snapshotId}.json`)) {
+        throw invalid(`Workflow ${workflowId} has no snapshot "${snapshotId}"; list_snapshots shows the ones kept`);
+      }
+      return load(instanceName, workflowId, `${snapshotId}.json`);
+    },
+
+    // The newest snapshot of a workflow, or null when there is none
+    latest(instanceName, workflowId) {
+      const saved = files(instanceName, workflowId);
+      return saved.length > 0 ? load(instanceName, workflowId, saved[saved.length - 1]) : null;
+    }
+  };
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Record every leaf that differs between two values as { path, before, after }.
+// Objects are compared key by key; arrays and scalars as a whole.
+function collectChanges(before, after, prefix, changes) {
+  if (isObject(before) && isObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    for (const key of keys) {
+      collectChanges(before[key], after[key], prefix ? `${prefix}.${key}` : key, changes);
+    }
+  } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path: prefix, before: before ?? null, after: after ?? null });
+  }
+  return changes;
+}
+
+// Connections as a flat list of links, in create_workflow's link format
+function connectionLinks(connections) {
+  const links = [];
+  for (const [source, types] of Object.entries(connections)) {
+    for (const [type, outputs] of Object.entries(types)) {
+      outputs.forEach((targets, sourceOutput) => {
+        for (const link of targets || []) {
+          links.push({
+            source,
+            sourceOutput,
+            target: link.node,
+            targetInput: link.index ?? 0,
+            ...(type !== 'main' ? { type } : {})
+          });
+        }
+      });
+    }
+  }
+  return links;
+}
+
+const withoutLayout = (node) => Object.fromEntries(
+  Object.entries(node).filter(([key]) => !LAYOUT_NODE_FIELDS.includes(key))
+);
+
+// Compare two workflow definitions (from the API or a snapshot). Nodes are
+// matched by name; node IDs, credential IDs and editor positions are ignored.
+export function diffWorkflows(before, after) {
+  const from = normalizeWorkflow(before);
+  const to = normalizeWorkflow(after);
+
+  const fromNodes = new Map(from.nodes.map(node => [node.name, node]));
+  const toNodes = new Map(to.nodes.map(node => [node.name, node]));
+  const nodes = {
+    added: to.nodes.filter(node => !fromNodes.has(node.name)).map(({ name, type }) => ({ name, type })),
+    removed: from.nodes.filter(node => !toNodes.has(node.name)).map(({ name, type }) => ({ name, type })),
+    changed: to.nodes
+      .filter(node => fromNodes.has(node.name))
+      .map(node => ({
+        name: node.name,
+        type: node.type,
+        changes: collectChanges(withoutLayout(fromNodes.get(node.name)), withoutLayout(node), '', [])
+      }))
+      .filter(node => node.changes.length > 0)
+  };
+
+  const key = (link) => JSON.stringify(link);
+  const fromLinks = connectionLinks(from.connections);
+  const toLinks = connectionLinks(to.connections);
+  const fromKeys = new Set(fromLinks.map(key));
+  const toKeys = new Set(toLinks.map(key));
+  const connections = {
+    added: toLinks.filter(link => !fromKeys.has(key(link))),
+    removed: fromLinks.filter(link => !toKeys.has(key(link)))
+  };
+
+  const tags = {
+    added: to.tags.filter(tag => !from.tags.includes(tag)),
+    removed: from.tags.filter(tag => !to.tags.includes(tag))
+  };
+
+  const diff = {
+    name: from.name !== to.name ? { before: from.name, after: to.name } : null,
+    active: Boolean(before.active) !== Boolean(after.active)
+      ? { before: Boolean(before.active), after: Boolean(after.active) }
+      : null,
+    nodes,
+    connections,
+    settings: collectChanges(from.settings, to.settings, '', []),
+    tags
+  };
+
+  const identical = !diff.name && !diff.active &&
+    [nodes.added, nodes.removed, nodes.changed, connections.added, connections.removed, diff.settings, tags.added, tags.removed]
+      .every(list => list.length === 0);
+
+  return { identical, ...diff };
+}
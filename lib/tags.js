@@ -0,0 +1,102 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { toMcpError } from './n8n-client.js';
+
+// Fetch every tag on the instance, following pagination cursors
+export async function listTags(instance) {
+  try {
+    const tags = [];
+    let cursor;
+    do {
+      const page = await instance.api.get('/tags', { params: { limit: 250, cursor } });
+      tags.push(...(page.data || []));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    return tags.map(tag => ({ id: tag.id, name: tag.name, createdAt: tag.createdAt, updatedAt: tag.updatedAt }));
+  } catch (error) {
+    throw toMcpError(error, 'Failed to list tags', { instance: instance.name });
+  }
+}
+
+// Create a tag; n8n answers 409 when the name is already taken
+export async function createTag(instance, name) {
+  if (!name || !name.trim()) {
+    throw new McpError(ErrorCode.InvalidParams, 'Tag name is required');
+  }
+
+  try {
+    const tag = await instance.api.post('/tags', { name: name.trim() });
+    return { id: tag.id, name: tag.name };
+  } catch (error) {
+    throw toMcpError(error, `Failed to create tag "${name}"`, { instance: instance.name });
+  }
+}
+
+// Delete a tag by ID or name; n8n removes it from every workflow
+export async function deleteTag(instance, ref) {
+  const tag = (await listTags(instance)).find(t => t.id === ref || t.name === ref);
+  if (!tag) {
+    throw new McpError(ErrorCode.InvalidParams, `Tag "${ref}" does not exist`);
+  }
+
+  try {
+    await instance.api.delete(`/tags/${tag.id}`);
+    return { success: true, tag, message: 'Tag deleted successfully' };
+  } catch (error) {
+    throw toMcpError(error, `Failed to delete tag "${tag.name}"`, { instance: instance.name });
+  }
+}
+
+// Resolve tag names or IDs to tags, creating names that don't exist yet
+export async function ensureTags(instance, refs) {
+  const existing = await listTags(instance);
+  const resolved = [];
+
+  for (const ref of refs) {
+    let tag = existing.find(t => t.id === ref || t.name === ref);
+    if (!tag) {
+      tag = await createTag(instance, ref);
+      existing.push(tag);
+    }
+    if (!resolved.some(t => t.id === tag.id)) {
+      resolved.push({ id: tag.id, name: tag.name });
+    }
+  }
+
+  return resolved;
+}
+
+// The workflow tags endpoint replaces the whole list, so edits start from the current one
+async function getWorkflowTags(instance, workflowId) {
+  const tags = await instance.api.get(`/workflows/${workflowId}/tags`);
+  return tags.map(tag => ({ id: tag.id, name: tag.name }));
+}
+
+async function setWorkflowTags(instance, workflowId, tags) {
+  const updated = await instance.api.put(`/workflows/${workflowId}/tags`, tags.map(tag => ({ id: tag.id })));
+  return updated.map(tag => ({ id: tag.id, name: tag.name }));
+}
+
+// Attach tags (by name or ID, created when missing) to a workflow
+export async function tagWorkflow(instance, workflowId, refs) {
+  const tags = await ensureTags(instance, refs);
+
+  try {
+    const current = await getWorkflowTags(instance, workflowId);
+    const merged = [...current, ...tags.filter(tag => !current.some(t => t.id === tag.id))];
+    return { success: true, workflowId, tags: await setWorkflowTags(instance, workflowId, merged) };
+  } catch (error) {
+    throw toMcpError(error, 'Failed to tag workflow', { instance: instance.name });
+  }
+}
+
+// Detach tags (by name or ID) from a workflow; the tags themselves are kept
+export async function untagWorkflow(instance, workflowId, refs) {
+  try {
+    const current = await getWorkflowTags(instance, workflowId);
+    const remaining = current.filter(tag => !refs.includes(tag.id) && !refs.includes(tag.name));
+    return { success: true, workflowId, tags: await setWorkflowTags(instance, workflowId, remaining) };
+  } catch (error) {
+    throw toMcpError(error, 'Failed to untag workflow', { instance: instance.name });
+  }
+}
@@ -0,0 +1,312 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Extra templates are read from here: one JSON file per template
+export const TEMPLATES_DIR = process.env.N8N_TEMPLATES_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'templates');
+
+const IF_OPERATORS = {
+  equals: { type: 'string', operation: 'equals' },
+  notEquals: { type: 'string', operation: 'notEquals' },
+  contains: { type: 'string', operation: 'contains' },
+  gt: { type: 'number', operation: 'gt' },
+  lt: { type: 'number', operation: 'lt' }
+};
+
+function respondNode(name, respondWith, responseBody) {
+  return {
+    name,
+    type: 'n8n-nodes-base.respondToWebhook',
+    typeVersion: 1.1,
+    parameters: responseBody === undefined
+      ? { respondWith, options: {} }
+      : { respondWith, responseBody: JSON.stringify(responseBody, null, 2), options: {} }
+  };
+}
+
+function httpRequestNode(method, url) {
+  return {
+    name: 'HTTP Request',
+    type: 'n8n-nodes-base.httpRequest',
+    typeVersion: 4.2,
+    parameters: { method, url, options: {} }
+  };
+}
+
+// Type of a Set node assignment for a literal value; expressions stay strings
+function assignmentType(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return typeof value;
+  }
+  return value && typeof value === 'object' ? 'object' : 'string';
+}
+
+// Templates that ship with the server. `build` turns validated parameters into
+// the nodes, connections and trigger create_workflow takes.
+const BUILTIN_TEMPLATES = [
+  {
+    id: 'webhook-http-respond',
+    name: 'Webhook → HTTP Request → Respond',
+    description: 'Call an HTTP endpoint when the webhook is hit and respond with what it returned',
+    parameters: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', description: 'URL to call; may be an n8n expression such as ={{ $json.body.url }}' },
+        method: { type: 'string', enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'], default: 'GET' }
+      },
+      required: ['url']
+    },
+    build: ({ url, method }) => ({
+      nodes: [httpRequestNode(method, url), respondNode('Respond with Result', 'firstIncomingItem')],
+      connections: [{ source: 'HTTP Request', target: 'Respond with Result' }]
+    })
+  },
+  {
+    id: 'webhook-if-respond',
+    name: 'Webhook → IF → two responses',
+    description: 'Test a field of the request body and answer with one of two JSON responses',
+    parameters: {
+      type: 'object',
+      properties: {
+        field: { type: 'string', description: 'Request body field to test, e.g. "amount" or "customer.tier"' },
+        operator: { type: 'string', enum: Object.keys(IF_OPERATORS), default: 'equals' },
+        value: { type: ['string', 'number'], description: 'Value to compare the field with' },
+        trueResponse: { type: 'object', default: { result: true } },
+        falseResponse: { type: 'object', default: { result: false } }
+      },
+      required: ['field', 'value']
+    },
+    build: ({ field, operator, value, trueResponse, falseResponse }) => ({
+      nodes: [
+        {
+          name: 'Check Condition',
+          type: 'n8n-nodes-base.if',
+          typeVersion: 2,
+          parameters: {
+            conditions: {
+              options: { caseSensitive: true, leftValue: '', typeValidation: 'loose' },
+              conditions: [{
+                id: uuidv4(),
+                leftValue: `={{ $json.body.${field} }}`,
+                rightValue: value,
+                operator: IF_OPERATORS[operator]
+              }],
+              combinator: 'and'
+            },
+            options: {}
+          }
+        },
+        respondNode('Respond True', 'json', trueResponse),
+        respondNode('Respond False', 'json', falseResponse)
+      ],
+      connections: [
+        { source: 'Check Condition', sourceOutput: 0, target: 'Respond True' },
+        { source: 'Check Condition', sourceOutput: 1, target: 'Respond False' }
+      ]
+    })
+  },
+  {
+    id: 'webhook-set-respond',
+    name: 'Webhook → Set/transform → Respond',
+    description: 'Set or compute fields on the incoming request and respond with the result',
+    parameters: {
+      type: 'object',
+      properties: {
+        fields: {
+          type: 'object',
+          description: 'Field names and values; values can be literals or n8n expressions such as ={{ $json.body.name.toUpperCase() }}'
+        },
+        keepOnlySet: { type: 'boolean', description: 'Drop the incoming fields and respond with the set ones only', default: false }
+      },
+      required: ['fields']
+    },
+    build: ({ fields, keepOnlySet }) => ({
+      nodes: [
+        {
+          name: 'Transform',
+          type: 'n8n-nodes-base.set',
+          typeVersion: 3.4,
+          parameters: {
+            mode: 'manual',
+            assignments: {
+              assignments: Object.entries(fields).map(([name, value]) => ({
+                id: uuidv4(),
+                name,
+                value,
+                type: assignmentType(value)
+              }))
+            },
+            includeOtherFields: !keepOnlySet,
+            options: {}
+          }
+        },
+        respondNode('Respond with Result', 'firstIncomingItem')
+      ],
+      connections: [{ source: 'Transform', target: 'Respond with Result' }]
+    })
+  },
+  {
+    id: 'schedule-http-slack',
+    name: 'Schedule → HTTP Request → Slack',
+    description: 'Fetch a URL on a schedule and post a message about the result to a Slack channel',
+    parameters: {
+      type: 'object',
+      properties: {
+        cron: { type: 'string', description: 'When to run, as a cron expression', default: '0 9 * * *' },
+        url: { type: 'string', description: 'URL to fetch' },
+        channel: { type: 'string', description: 'Slack channel name, e.g. #alerts' },
+        message: { type: 'string', description: 'Message text; may use n8n expressions', default: '={{ JSON.stringify($json) }}' },
+        slackCredential: { type: 'string', description: 'Name of the slackApi credential to post with' }
+      },
+      required: ['url', 'channel']
+    },
+    build: ({ cron, url, channel, message, slackCredential }) => ({
+      trigger: { type: 'schedule', cron },
+      nodes: [
+        httpRequestNode('GET', url),
+        {
+          name: 'Post to Slack',
+          type: 'n8n-nodes-base.slack',
+          typeVersion: 2.2,
+          parameters: {
+            select: 'channel',
+            channelId: { __rl: true, value: channel, mode: 'name' },
+            text: message,
+            otherOptions: {}
+          },
+          ...(slackCredential ? { credentials: { slackApi: slackCredential } } : {})
+        }
+      ],
+      connections: [{ source: 'HTTP Request', target: 'Post to Slack' }]
+    })
+  }
+];
+
+const JSON_TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number',
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+// Check template parameters against the template's JSON Schema (type, enum,
+// required and additionalProperties on the top-level properties) and fill in defaults
+export function applyParameterSchema(template, input = {}) {
+  const schema = template.parameters || {};
+  const properties = schema.properties || {};
+  const problems = [];
+  const values = {};
+
+  for (const [key, property] of Object.entries(properties)) {
+    const value = input[key] !== undefined ? input[key] : structuredClone(property.default);
+    if (value === undefined) {
+      if ((schema.required || []).includes(key)) {
+        problems.push(`${key} is required`);
+      }
+      continue;
+    }
+
+    const types = [].concat(property.type || []);
+    if (types.length > 0 && !types.some(type => JSON_TYPES[type]?.(value))) {
+      problems.push(`${key} must be of type ${types.join(' or ')}`);
+    } else if (property.enum && !property.enum.includes(value)) {
+      problems.push(`${key} must be one of ${property.enum.join(', ')}`);
+    }
+    values[key] = value;
+  }
+
+  if (schema.additionalProperties === false) {
+    for (const key of Object.keys(input).filter(key => !(key in properties))) {
+      problems.push(`${key} is not a parameter of this template`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid parameters for template "${template.id}": ${problems.join('; ')}`);
+  }
+  return values;
+}
+
+// Replace {{name}} placeholders of declared parameters. A string that is just
+// a placeholder takes the parameter value as is, keeping its type.
+function fillPlaceholders(value, params) {
+  if (Array.isArray(value)) {
+    return value.map(item => fillPlaceholders(item, params));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillPlaceholders(item, params)]));
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const whole = value.match(/^\{\{(\w+)\}\}$/);
+  if (whole && whole[1] in params) {
+    return params[whole[1]];
+  }
+  return value.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+    if (!(name in params)) {
+      return placeholder;
+    }
+    const param = params[name];
+    return param !== null && typeof param === 'object' ? JSON.stringify(param) : String(param ?? '');
+  });
+}
+
+// A template file: { id, name, description, parameters, workflow: { nodes, connections, trigger } }
+function readTemplateFile(filePath) {
+  const definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!definition.id || !Array.isArray(definition.workflow?.nodes)) {
+    throw new Error('a template needs an id and workflow.nodes');
+  }
+
+  return {
+    id: definition.id,
+    name: definition.name || definition.id,
+    description: definition.description || '',
+    parameters: definition.parameters || { type: 'object', properties: {} },
+    file: filePath,
+    build: params => fillPlaceholders(definition.workflow, params)
+  };
+}
+
+// All templates: the built-in ones, plus the files in the template directory,
+// which override built-ins with the same id. Files that can't be used are
+// reported in `errors` instead of failing the whole library.
+export function loadTemplates(directory = TEMPLATES_DIR) {
+  const templates = new Map(BUILTIN_TEMPLATES.map(template => [template.id, { ...template, source: 'builtin' }]));
+  const errors = [];
+
+  if (fs.existsSync(directory)) {
+    for (const file of fs.readdirSync(directory).filter(name => name.endsWith('.json')).sort()) {
+      const filePath = path.join(directory, file);
+      try {
+        const template = readTemplateFile(filePath);
+        templates.set(template.id, { ...template, source: 'local' });
+      } catch (error) {
+        errors.push({ file: filePath, error: error.message });
+      }
+    }
+  }
+
+  return { templates, errors };
+}
+
+// Validate parameters and build the create_workflow input for a template
+export function renderTemplate(templates, id, input) {
+  const template = templates.get(id);
+  if (!template) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown template "${id}". Available templates: ${[...templates.keys()].join(', ')}`
+    );
+  }
+
+  const { nodes = [], connections = [], trigger = {} } = template.build(applyParameterSchema(template, input));
+  return { template, nodes, connections, trigger };
+}
@@ -0,0 +1,251 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { v4 as uuidv4 } from 'uuid';
+
+const WEBHOOK_NODE_TYPE = 'n8n-nodes-base.webhook';
+const SCHEDULE_NODE_TYPE = 'n8n-nodes-base.scheduleTrigger';
+const FORM_NODE_TYPE = 'n8n-nodes-base.formTrigger';
+const CHAT_NODE_TYPE = '@n8n/n8n-nodes-langchain.chatTrigger';
+const MANUAL_NODE_TYPE = 'n8n-nodes-base.manualTrigger';
+
+export const TRIGGER_TYPES = ['webhook', 'schedule', 'form', 'chat', 'manual'];
+export const RESPONSE_MODES = ['onReceived', 'lastNode', 'responseNode'];
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'];
+
+// Webhook authentication options and the credential type each one needs
+const WEBHOOK_AUTHENTICATION = {
+  header: { parameter: 'headerAuth', credentialType: 'httpHeaderAuth' },
+  basic: { parameter: 'basicAuth', credentialType: 'httpBasicAuth' }
+};
+
+const SCHEDULE_INTERVAL_FIELDS = {
+  seconds: 'secondsInterval',
+  minutes: 'minutesInterval',
+  hours: 'hoursInterval',
+  days: 'daysInterval'
+};
+
+function invalid(message) {
+  return new McpError(ErrorCode.InvalidParams, `Invalid trigger: ${message}`);
+}
+
+// Triggers that are reached through a URL; their path must never change under callers
+export function isUrlTrigger(node) {
+  return [WEBHOOK_NODE_TYPE, FORM_NODE_TYPE, CHAT_NODE_TYPE].includes(node.type);
+}
+
+// Does this trigger answer its caller through a Respond to Webhook node?
+export function usesResponseNode(node) {
+  return node.type === WEBHOOK_NODE_TYPE && node.parameters?.responseMode === 'responseNode';
+}
+
+// Can a workflow started by this trigger be activated?
+export function canActivate(node) {
+  return node.type !== MANUAL_NODE_TYPE;
+}
+
+// Create webhook trigger node
+export function createWebhookTriggerNode(webhookPath, options = {}) {
+  const { httpMethod = 'POST', responseMode = 'responseNode', authentication } = options;
+
+  if (!HTTP_METHODS.includes(httpMethod)) {
+    throw invalid(`httpMethod must be one of ${HTTP_METHODS.join(', ')}`);
+  }
+  if (!RESPONSE_MODES.includes(responseMode)) {
+    throw invalid(`responseMode must be one of ${RESPONSE_MODES.join(', ')}`);
+  }
+
+  const node = {
+    id: uuidv4(),
+    name: 'Webhook Trigger',
+    type: WEBHOOK_NODE_TYPE,
+    typeVersion: 1,
+    parameters: {
+      path: webhookPath,
+      httpMethod,
+      responseMode
+    }
+  };
+
+  if (authentication && authentication.type !== 'none') {
+    const auth = WEBHOOK_AUTHENTICATION[authentication.type];
+    if (!auth) {
+      throw invalid(`authentication.type must be one of none, ${Object.keys(WEBHOOK_AUTHENTICATION).join(', ')}`);
+    }
+    if (!authentication.credentialId && !authentication.credentialName) {
+      throw invalid(`${authentication.type} authentication needs the credentialId or credentialName of an existing ${auth.credentialType} credential`);
+    }
+
+    // A name alone is resolved to the credential's ID before the workflow is sent
+    node.parameters.authentication = auth.parameter;
+    node.credentials = {
+      [auth.credentialType]: authentication.credentialId
+        ? { id: authentication.credentialId, name: authentication.credentialName || '' }
+        : { name: authentication.credentialName }
+    };
+  }
+
+  return node;
+}
+
+function createScheduleTriggerNode({ cron, interval }) {
+  let rule;
+  if (cron) {
+    rule = { field: 'cronExpression', expression: cron };
+  } else if (interval) {
+    const field = SCHEDULE_INTERVAL_FIELDS[interval.unit];
+    if (!field || !(interval.every > 0)) {
+      throw invalid(`interval needs a positive "every" and a unit of ${Object.keys(SCHEDULE_INTERVAL_FIELDS).join(', ')}`);
+    }
+    rule = { field: interval.unit, [field]: interval.every };
+  } else {
+    throw invalid('a schedule trigger needs either cron or interval');
+  }
+
+  return {
+    id: uuidv4(),
+    name: 'Schedule Trigger',
+    type: SCHEDULE_NODE_TYPE,
+    typeVersion: 1.2,
+    parameters: {
+      rule: { interval: [rule] }
+    }
+  };
+}
+
+function createFormTriggerNode(formPath, { formTitle, formDescription = '', formFields = [], responseMode = 'onReceived' }) {
+  if (!['onReceived', 'lastNode'].includes(responseMode)) {
+    throw invalid('responseMode for a form trigger must be onReceived or lastNode');
+  }
+
+  return {
+    id: uuidv4(),
+    name: 'Form Trigger',
+    type: FORM_NODE_TYPE,
+    typeVersion: 2,
+    webhookId: uuidv4(),
+    parameters: {
+      path: formPath,
+      formTitle: formTitle || 'Form',
+      formDescription,
+      formFields: {
+        values: formFields.map(field => ({
+          fieldLabel: field.label,
+          fieldType: field.type || 'text',
+          requiredField: Boolean(field.required)
+        }))
+      },
+      responseMode
+    }
+  };
+}
+
+function createChatTriggerNode({ public: isPublic = true }) {
+  return {
+    id: uuidv4(),
+    name: 'Chat Trigger',
+    type: CHAT_NODE_TYPE,
+    typeVersion: 1.1,
+    webhookId: uuidv4(),
+    parameters: {
+      public: isPublic,
+      mode: 'hostedChat'
+    }
+  };
+}
+
+function createManualTriggerNode() {
+  return {
+    id: uuidv4(),
+    name: 'Manual Trigger',
+    type: MANUAL_NODE_TYPE,
+    typeVersion: 1,
+    parameters: {}
+  };
+}
+
+// Create the trigger node described by create_workflow's `trigger` option.
+// `generatedPath` is used by URL triggers when no custom path is given.
+export function createTriggerNode(trigger = {}, generatedPath) {
+  const path = trigger.path ? String(trigger.path).replace(/^\/+/, '') : generatedPath;
+
+  switch (trigger.type || 'webhook') {
+    case 'webhook':
+      return createWebhookTriggerNode(path, trigger);
+    case 'schedule':
+      return createScheduleTriggerNode(trigger);
+    case 'form':
+      return createFormTriggerNode(path, trigger);
+    case 'chat':
+      return createChatTriggerNode(trigger);
+    case 'manual':
+      return createManualTriggerNode();
+    default:
+      throw invalid(`type must be one of ${TRIGGER_TYPES.join(', ')}`);
+  }
+}
+
+// Describe how a workflow started by this trigger node can be invoked.
+// `urls` holds the instance's base URLs: { webhook, webhookTest, form, formTest }.
+export function describeTrigger(node, urls) {
+  const parameters = node.parameters || {};
+
+  switch (node.type) {
+    case WEBHOOK_NODE_TYPE: {
+      const authentication = Object.keys(WEBHOOK_AUTHENTICATION)
+        .find(key => WEBHOOK_AUTHENTICATION[key].parameter === parameters.authentication) || 'none';
+      const httpMethod = parameters.httpMethod || 'GET';
+      return {
+        type: 'webhook',
+        webhookPath: parameters.path,
+        productionUrl: `${urls.webhook}/${parameters.path}`,
+        testUrl: `${urls.webhookTest}/${parameters.path}`,
+        httpMethod,
+        responseMode: parameters.responseMode || 'onReceived',
+        authentication,
+        howToInvoke: `Send an HTTP ${httpMethod} request to productionUrl while the workflow is active, or to testUrl while it is listening in the editor` +
+          (authentication === 'none' ? '' : `, using ${authentication} authentication`)
+      };
+    }
+
+    case FORM_NODE_TYPE:
+      return {
+        type: 'form',
+        webhookPath: parameters.path,
+        productionUrl: `${urls.form}/${parameters.path}`,
+        testUrl: `${urls.formTest}/${parameters.path}`,
+        howToInvoke: 'Open productionUrl in a browser and submit the form'
+      };
+
+    case CHAT_NODE_TYPE:
+      return {
+        type: 'chat',
+        webhookPath: node.webhookId,
+        productionUrl: `${urls.webhook}/${node.webhookId}/chat`,
+        testUrl: `${urls.webhookTest}/${node.webhookId}/chat`,
+        howToInvoke: parameters.public
+          ? 'Open productionUrl in a browser to use the hosted chat'
+          : 'Chat from the n8n editor; the chat is not public'
+      };
+
+    case SCHEDULE_NODE_TYPE: {
+      const rule = parameters.rule?.interval?.[0] || {};
+      const schedule = rule.field === 'cronExpression'
+        ? `cron ${rule.expression}`
+        : `every ${rule[SCHEDULE_INTERVAL_FIELDS[rule.field]] ?? 1} ${rule.field}`;
+      return {
+        type: 'schedule',
+        schedule,
+        howToInvoke: `Runs automatically (${schedule}) while the workflow is active`
+      };
+    }
+
+    case MANUAL_NODE_TYPE:
+      return {
+        type: 'manual',
+        howToInvoke: 'Run it from the n8n editor with "Execute workflow"; manual-trigger workflows cannot be activated'
+      };
+
+    default:
+      return { type: node.type, howToInvoke: 'Started by a custom trigger node' };
+  }
+}
@@ -0,0 +1,167 @@
+// Node types whose loops back into themselves are intentional
+const LOOP_NODE_TYPES = ['n8n-nodes-base.splitInBatches'];
+
+// Nodes that only decorate the canvas and never run
+const NOTE_NODE_TYPES = ['n8n-nodes-base.stickyNote'];
+
+const RESPOND_NODE_TYPE = 'n8n-nodes-base.respondToWebhook';
+
+// Anything n8n starts a run from: webhooks, schedules, forms, chat, manual runs...
+export function isTriggerNode(node) {
+  return typeof node.type === 'string' &&
+    (/trigger$/i.test(node.type) || ['n8n-nodes-base.webhook', 'n8n-nodes-base.cron', 'n8n-nodes-base.interval'].includes(node.type));
+}
+
+// Map each node name to the names of the nodes it feeds
+function buildAdjacency(nodes, connections) {
+  const adjacency = new Map(nodes.map(node => [node.name, new Set()]));
+  for (const [sourceName, types] of Object.entries(connections || {})) {
+    for (const outputs of Object.values(types || {})) {
+      for (const links of outputs || []) {
+        for (const link of links || []) {
+          if (adjacency.has(sourceName) && adjacency.has(link.node)) {
+            adjacency.get(sourceName).add(link.node);
+          }
+        }
+      }
+    }
+  }
+  return adjacency;
+}
+
+function reachableFrom(adjacency, startNames) {
+  const seen = new Set(startNames);
+  const queue = [...startNames];
+  while (queue.length > 0) {
+    for (const next of adjacency.get(queue.shift()) || []) {
+      if (!seen.has(next)) {
+        seen.add(next);
+        queue.push(next);
+      }
+    }
+  }
+  return seen;
+}
+
+// Find each cycle once, as the list of node names along it
+function findCycles(adjacency) {
+  const cycles = [];
+  const state = new Map(); // undefined = unvisited, 1 = on stack, 2 = done
+  const stack = [];
+
+  const visit = (name) => {
+    state.set(name, 1);
+    stack.push(name);
+    for (const next of adjacency.get(name)) {
+      if (state.get(next) === 1) {
+        cycles.push(stack.slice(stack.indexOf(next)));
+      } else if (!state.has(next)) {
+        visit(next);
+      }
+    }
+    stack.pop();
+    state.set(name, 2);
+  };
+
+  for (const name of adjacency.keys()) {
+    if (!state.has(name)) {
+      visit(name);
+    }
+  }
+  return cycles;
+}
+
+// Check an n8n workflow definition ({ nodes, connections }) before it is sent
+// to n8n. Returns findings grouped by severity; only errors make it invalid.
+export function validateWorkflow({ nodes = [], connections = {} }) {
+  const findings = [];
+  const report = (severity, rule, message, nodeNames = []) =>
+    findings.push({ severity, rule, message, nodes: nodeNames });
+
+  // Node shape
+  const nameCounts = new Map();
+  nodes.forEach((node, index) => {
+    const label = node.name || `#${index + 1}`;
+    if (!node.name) {
+      report('error', 'missing-name', `Node ${label} has no name`);
+    } else {
+      nameCounts.set(node.name, (nameCounts.get(node.name) || 0) + 1);
+    }
+    if (!node.type) {
+      report('error', 'missing-type', `Node "${label}" has no type`, [label]);
+    }
+    if (node.typeVersion === undefined || node.typeVersion === null) {
+      report('error', 'missing-type-version', `Node "${label}" has no typeVersion`, [label]);
+    }
+  });
+  for (const [name, count] of nameCounts) {
+    if (count > 1) {
+      report('error', 'duplicate-node-name', `${count} nodes are named "${name}"; node names must be unique`, [name]);
+    }
+  }
+
+  // Connections must point at real nodes
+  const names = new Set(nameCounts.keys());
+  for (const [sourceName, types] of Object.entries(connections)) {
+    if (!names.has(sourceName)) {
+      report('error', 'unknown-connection-node', `Connections are defined for non-existent node "${sourceName}"`, [sourceName]);
+    }
+    for (const outputs of Object.values(types || {})) {
+      for (const links of outputs || []) {
+        for (const link of links || []) {
+          if (!names.has(link.node)) {
+            report('error', 'unknown-connection-node', `"${sourceName}" connects to non-existent node "${link.node}"`, [sourceName, link.node]);
+          }
+        }
+      }
+    }
+  }
+
+  const runnable = nodes.filter(node => node.name && !NOTE_NODE_TYPES.includes(node.type));
+  const adjacency = buildAdjacency(runnable, connections);
+  const triggers = runnable.filter(isTriggerNode);
+
+  // Every node should be reachable from a trigger
+  if (triggers.length === 0) {
+    report('warning', 'no-trigger', 'Workflow has no trigger node, so it can only be run manually');
+  } else {
+    const reachable = reachableFrom(adjacency, triggers.map(node => node.name));
+    const unreachable = runnable.filter(node => !reachable.has(node.name)).map(node => node.name);
+    if (unreachable.length > 0) {
+      report('warning', 'unreachable-node', `Nodes not reachable from any trigger will never run: ${unreachable.join(', ')}`, unreachable);
+    }
+  }
+
+  // Cycles are only expected around loop nodes
+  for (const cycle of findCycles(adjacency)) {
+    const isLoop = cycle.some(name => LOOP_NODE_TYPES.includes(runnable.find(node => node.name === name).type));
+    report(
+      isLoop ? 'warning' : 'error',
+      'cycle',
+      `Connections form a cycle: ${[...cycle, cycle[0]].join(' -> ')}`,
+      cycle
+    );
+  }
+
+  // Webhooks answering from a respond node need one they can reach, and vice versa
+  for (const webhook of runnable.filter(node => node.type === 'n8n-nodes-base.webhook')) {
+    const reachable = reachableFrom(adjacency, [webhook.name]);
+    const respondNodes = runnable.filter(node => node.type === RESPOND_NODE_TYPE && reachable.has(node.name));
+
+    if (webhook.parameters?.responseMode === 'responseNode' && respondNodes.length === 0) {
+      report('error', 'missing-respond-node', `"${webhook.name}" uses responseMode "responseNode" but no respondToWebhook node is reachable from it, so callers would never get a response`, [webhook.name]);
+    }
+    if (webhook.parameters?.responseMode !== 'responseNode' && respondNodes.length > 0) {
+      report('warning', 'unused-respond-node', `"${webhook.name}" does not use responseMode "responseNode", so its respondToWebhook nodes will fail at runtime`, [webhook.name, ...respondNodes.map(node => node.name)]);
+    }
+  }
+
+  const errors = findings.filter(finding => finding.severity === 'error');
+  const warnings = findings.filter(finding => finding.severity === 'warning');
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+// One line per error, for error messages
+export function formatFindings(findings) {
+  return findings.map(finding => `[${finding.rule}] ${finding.message}`).join('; ');
+}
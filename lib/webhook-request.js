@@ -0,0 +1,226 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { resolveInside } from './paths.js';
+
+export const WEBHOOK_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'];
+export const BODY_ENCODINGS = ['json', 'form', 'multipart', 'text'];
+export const DEFAULT_WEBHOOK_TIMEOUT = 30000;
+
+// Files are only uploaded from this directory, so a client cannot send other
+// files on the server (such as the instance profiles and their API keys)
+export const FILES_DIR = process.env.N8N_FILES_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'files');
+
+// Binary responses up to this size are attached to the tool result; larger
+// ones are only described
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+// Content types for uploads whose contentType isn't given
+const FILE_TYPES = {
+  '.csv': 'text/csv',
+  '.gif': 'image/gif',
+  '.html': 'text/html',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.json': 'application/json',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.txt': 'text/plain',
+  '.xml': 'application/xml',
+  '.zip': 'application/zip'
+};
+
+const invalid = (message) => new McpError(ErrorCode.InvalidParams, message);
+
+// Form fields are flat strings; nested values are sent as JSON
+const fieldValue = (value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+function hasHeader(headers, name) {
+  return Object.keys(headers).some(key => key.toLowerCase() === name);
+}
+
+function requireFields(payload, encoding) {
+  if (payload === undefined) {
+    return {};
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw invalid(`A ${encoding} body needs payload to be an object of field names and values`);
+  }
+  return payload;
+}
+
+// Read a file to upload from FILES_DIR: { path, field, fileName, contentType }
+function readUpload(file) {
+  if (!file?.path) {
+    throw invalid('Every file needs a path');
+  }
+  const filePath = resolveInside(FILES_DIR, file.path, 'N8N_FILES_DIR');
+  let content;
+  try {
+    content = fs.readFileSync(filePath);
+  } catch (error) {
+    throw invalid(`Cannot read file ${file.path}: ${error.message}`);
+  }
+
+  const fileName = file.fileName || path.basename(file.path);
+  const contentType = file.contentType || FILE_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+  return { field: file.field || 'file', fileName, blob: new Blob([content], { type: contentType }) };
+}
+
+// Build the body and its content type for one of the BODY_ENCODINGS
+function encodeBody(encoding, payload, files) {
+  switch (encoding) {
+    case 'json':
+      return { data: payload ?? {}, contentType: 'application/json' };
+
+    case 'text':
+      return {
+        data: typeof payload === 'string' ? payload : JSON.stringify(payload ?? ''),
+        contentType: 'text/plain'
+      };
+
+    case 'form':
+      return {
+        data: new URLSearchParams(Object.entries(requireFields(payload, encoding)).map(([key, value]) => [key, fieldValue(value)])),
+        contentType: 'application/x-www-form-urlencoded'
+      };
+
+    case 'multipart': {
+      const form = new FormData();
+      for (const [key, value] of Object.entries(requireFields(payload, encoding))) {
+        form.append(key, fieldValue(value));
+      }
+      for (const upload of files.map(readUpload)) {
+        form.append(upload.field, upload.blob, upload.fileName);
+      }
+      // The multipart boundary is part of the content type, so axios sets it
+      return { data: form, contentType: null };
+    }
+  }
+}
+
+// Turn execute_workflow_webhook options into an axios request. The body is
+// JSON unless bodyEncoding says otherwise; attaching files implies multipart.
+// The response is read as raw bytes and decoded by readWebhookResponse.
+export function buildWebhookRequest(url, { method = 'POST', query, headers = {}, payload, bodyEncoding, files = [], timeout = DEFAULT_WEBHOOK_TIMEOUT } = {}) {
+  const httpMethod = String(method).toUpperCase();
+  if (!WEBHOOK_METHODS.includes(httpMethod)) {
+    throw invalid(`method must be one of ${WEBHOOK_METHODS.join(', ')}`);
+  }
+  if (bodyEncoding && !BODY_ENCODINGS.includes(bodyEncoding)) {
+    throw invalid(`bodyEncoding must be one of ${BODY_ENCODINGS.join(', ')}`);
+  }
+  if (files.length > 0 && bodyEncoding && bodyEncoding !== 'multipart') {
+    throw invalid('Files can only be sent with bodyEncoding multipart');
+  }
+  if (!(timeout > 0)) {
+    throw invalid('timeout must be a positive number of milliseconds');
+  }
+
+  const encoding = bodyEncoding || (files.length > 0 ? 'multipart' : 'json');
+  const emptyPayload = payload === undefined ||
+    (payload && typeof payload === 'object' && Object.keys(payload).length === 0);
+
+  const config = {
+    method: httpMethod.toLowerCase(),
+    url,
+    params: query,
+    // Repeated query parameters as a=1&a=2, the way n8n reads them back into an array
+    paramsSerializer: { indexes: null },
+    headers: { ...headers },
+    timeout,
+    // Redirects are not followed: their target never passed the webhookHosts
+    // check, so a 3xx fails the call instead
+    maxRedirects: 0,
+    responseType: 'arraybuffer'
+  };
+
+  if (httpMethod === 'GET' || httpMethod === 'HEAD') {
+    if (!emptyPayload || files.length > 0) {
+      throw invalid(`${httpMethod} requests have no body; send the values as query parameters instead`);
+    }
+    return config;
+  }
+
+  const { data, contentType } = encodeBody(encoding, payload, files);
+  config.data = data;
+  if (contentType && !hasHeader(config.headers, 'content-type')) {
+    config.headers['Content-Type'] = contentType;
+  }
+  return config;
+}
+
+function isTextType(contentType) {
+  return /^text\//.test(contentType) ||
+    /[/+](json|xml|javascript|x-www-form-urlencoded)\b/.test(contentType);
+}
+
+// The file name a Content-Disposition header gives. The RFC 5987 filename*=
+// form wins when it decodes; plain filename= values are taken as sent, since
+// a name like `report 100%.pdf` is not percent-encoded.
+function dispositionFileName(header = '') {
+  const extended = /filename\*\s*=\s*([^';]*)'[^';]*'([^;\s]+)/i.exec(header);
+  if (extended) {
+    const [, charset, value] = extended;
+    if (/^utf-8$/i.test(charset)) {
+      try {
+        return decodeURIComponent(value);
+      } catch {
+        // Malformed escapes; use filename=, or the name as sent
+      }
+    } else {
+      // ISO-8859-1: each escaped byte is one character
+      return value.replace(/%([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+  }
+  const plain = /(?:^|;)\s*filename\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/i.exec(header);
+  if (!plain) {
+    return extended?.[2];
+  }
+  const name = plain[1] !== undefined ? plain[1].replace(/\\(.)/g, '$1') : plain[2].trim();
+  return name || undefined;
+}
+
+// Decode a webhook response read as bytes: JSON is parsed, text is decoded,
+// and anything else is kept as bytes. Bodies without a content type are
+// treated as text when they are valid UTF-8.
+export function readWebhookResponse(response) {
+  const raw = Buffer.from(response.data || []);
+  const contentType = response.headers?.['content-type'] || '';
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  const fileName = dispositionFileName(response.headers?.['content-disposition']);
+  const body = { contentType: contentType || null, size: raw.length, ...(fileName ? { fileName } : {}) };
+
+  if (raw.length === 0) {
+    return { ...body, encoding: 'empty', data: null };
+  }
+
+  const text = raw.toString('utf8');
+  const looksLikeText = mimeType ? isTextType(mimeType) : !text.includes('\uFFFD');
+  if (!looksLikeText) {
+    return { ...body, encoding: 'binary', data: raw };
+  }
+
+  if (!mimeType || /[/+]json$/.test(mimeType)) {
+    try {
+      return { ...body, encoding: 'json', data: JSON.parse(text) };
+    } catch {
+      // Not JSON after all; fall through to text
+    }
+  }
+  return { ...body, encoding: 'text', data: text };
+}
+
+// Embedded resource content for a binary response, or null when it is too big to attach
+export function binaryAttachment(uri, body) {
+  if (body.size > MAX_ATTACHMENT_BYTES) {
+    return null;
+  }
+  return {
+    uri,
+    mimeType: body.contentType?.split(';')[0].trim() || 'application/octet-stream',
+    blob: body.data.toString('base64')
+  };
+}
@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { resolveInside } from './paths.js';
+
+// export_workflow writes and import_workflow reads workflow files inside this directory only
+export const EXPORT_DIR = process.env.N8N_EXPORT_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'workflows');
+
+// Node fields that only mean something on the instance the workflow came from
+const VOLATILE_NODE_FIELDS = ['id'];
+
+// meta entries n8n fills in per instance
+const VOLATILE_META_FIELDS = ['instanceId', 'templateCredsSetupCompleted'];
+
+// Recursively sort object keys so the same workflow always serializes the same way
+export function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value).sort().map(key => [key, sortKeys(value[key])])
+    );
+  }
+  return value;
+}
+
+// Replace { type: { id, name } } credential blocks with { type: name }, which
+// create_workflow and import_workflow resolve again on the target instance
+function credentialReferences(credentials) {
+  return Object.fromEntries(
+    Object.entries(credentials).map(([type, ref]) => [type, typeof ref === 'string' ? ref : ref?.name])
+  );
+}
+
+function normalizeNode(node) {
+  const normalized = { ...node };
+  for (const field of VOLATILE_NODE_FIELDS) {
+    delete normalized[field];
+  }
+  if (normalized.credentials) {
+    normalized.credentials = credentialReferences(normalized.credentials);
+  }
+  return normalized;
+}
+
+// Reduce a workflow (from the API, a file or an n8n editor export) to the parts
+// worth keeping under version control: no IDs, timestamps, version IDs, activation
+// state, run data or credential IDs; nodes ordered by name and keys sorted
+export function normalizeWorkflow(workflow) {
+  const meta = { ...(workflow.meta || {}) };
+  for (const field of VOLATILE_META_FIELDS) {
+    delete meta[field];
+  }
+
+  const normalized = {
+    name: workflow.name,
+    nodes: (workflow.nodes || [])
+      .map(normalizeNode)
+      .sort((a, b) => String(a.name).localeCompare(String(b.name))),
+    connections: workflow.connections || {},
+    settings: workflow.settings || {},
+    tags: (workflow.tags || []).map(tag => (typeof tag === 'string' ? tag : tag.name)).sort()
+  };
+  if (Object.keys(meta).length > 0) {
+    normalized.meta = meta;
+  }
+
+  return sortKeys(normalized);
+}
+
+// File name for a workflow: its name as a slug
+export function workflowFileName(name) {
+  const slug = String(name || 'workflow').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${slug || 'workflow'}.json`;
+}
+
+// Write a normalized workflow into EXPORT_DIR, or a subdirectory of it, and
+// return the absolute path of the file
+export function writeWorkflowFile(directory, fileName, workflow) {
+  const filePath = resolveInside(EXPORT_DIR, path.join(directory || '.', fileName), 'N8N_EXPORT_DIR');
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(workflow, null, 2)}\n`);
+  return filePath;
+}
+
+// Read a workflow file from EXPORT_DIR, either our normalized form or a plain n8n export
+export function readWorkflowFile(filePath) {
+  const resolved = resolveInside(EXPORT_DIR, filePath, 'N8N_EXPORT_DIR');
+  let workflow;
+  try {
+    workflow = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, `Could not read workflow file ${filePath}: ${error.message}`);
+  }
+
+  if (!workflow || !Array.isArray(workflow.nodes)) {
+    throw new McpError(ErrorCode.InvalidParams, `${filePath} is not an n8n workflow: it has no nodes array`);
+  }
+  return workflow;
+}
@@ -5,37 +5,226 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import axios from 'axios';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
+import { MAX_CONCURRENCY, readPayloadFile, resultsFilePath, runBatch, summarizeBatch, writeResultsFile } from './lib/batch.js';
+import {
+  buildConnections,
+  countConnections,
+  forEachConnectionLink,
+  resolveNode,
+  wireTriggerAndResponse
+} from './lib/connections.js';
+import { loadInstances, resolveInstance } from './lib/config.js';
+import { createCredential, getCredentialSchema, listCredentials, resolveNodeCredentials } from './lib/credentials.js';
+import { loadHttpOptions, startHttpServer } from './lib/http-server.js';
+import { FINAL_JOB_STATUSES, createJobTracker } from './lib/jobs.js';
+import { layoutWorkflow } from './lib/layout.js';
+import { createApiClient, requestWithRetry, toMcpError } from './lib/n8n-client.js';
+import { createNodeCatalog, describeNodeTypeProblem } from './lib/node-catalog.js';
+import { loadPolicy } from './lib/policy.js';
+import {
+  PROMPTS,
+  assertPromptArguments,
+  buildWebhookApiPrompt,
+  debugWorkflowPrompt,
+  errorHandlingPrompt
+} from './lib/prompts.js';
+import {
+  RESOURCE_TEMPLATES,
+  WORKFLOWS_URI,
+  createResourceWatcher,
+  parseResourceUri,
+  workflowUri,
+  workflowsUri
+} from './lib/resources.js';
+import { createWorkflowRegistry } from './lib/registry.js';
+import { createSnapshotStore, diffWorkflows } from './lib/snapshots.js';
+import { createTag, deleteTag, listTags, tagWorkflow, untagWorkflow } from './lib/tags.js';
+import { loadTemplates, renderTemplate } from './lib/templates.js';
+import {
+  canActivate,
+  createTriggerNode,
+  describeTrigger,
+  isUrlTrigger,
+  usesResponseNode
+} from './lib/triggers.js';
+import { formatFindings, isTriggerNode, validateWorkflow } from './lib/validator.js';
+import { BODY_ENCODINGS, WEBHOOK_METHODS, binaryAttachment, buildWebhookRequest, readWebhookResponse } from './lib/webhook-request.js';
+import {
+  normalizeWorkflow,
+  readWorkflowFile,
+  workflowFileName,
+  writeWorkflowFile
+} from './lib/workflow-files.js';
+
+// N8N Configuration: named instance profiles from the environment and/or n8n-instances.json
+const instances = loadInstances();
+for (const profile of instances.profiles.values()) {
+  profile.api = createApiClient(profile);
+}
+
+// Node types create_workflow accepts, with their versions and parameters
+const nodeCatalog = createNodeCatalog();
 
-// N8N Configuration
-const N8N_BASE_URL = 'https://joelfuller.app.n8n.cloud';
-const N8N_API_URL = `${N8N_BASE_URL}/api/v1`;
-const WEBHOOK_PRODUCTION_URL = `${N8N_BASE_URL}/webhook`;
-const WEBHOOK_TEST_URL = `${N8N_BASE_URL}/webhook-test`;
+// Restrictions on what tools may do, from the policy file
+const policy = loadPolicy();
 
-// You'll need to set this environment variable with your n8n API key
-const N8N_API_KEY = process.env.N8N_API_KEY;
+// Connected clients. Each one has its own MCP server and resource subscriptions.
+const sessions = new Set();
 
-if (!N8N_API_KEY) {
-  console.error('N8N_API_KEY environment variable is required');
-  process.exit(1);
+// Background webhook calls started with execute_workflow_webhook's async option.
+// Each client only sees the jobs it started.
+const jobs = createJobTracker();
+
+// Workflow history on disk: saved whenever this server changes a workflow
+const snapshots = createSnapshotStore();
+
+// Workflows this server created, with their webhook URLs and last run
+const registry = createWorkflowRegistry();
+
+// Tell every client's subscribers that this server created, changed or deleted
+// a workflow. Notifications are best effort and never fail the tool call.
+async function workflowChanged(instance, id, { listChanged = false } = {}) {
+  for (const { server, resourceWatcher } of sessions) {
+    try {
+      await resourceWatcher.changed(workflowUri(instances, instance, id));
+      await resourceWatcher.changed(workflowsUri(instances, instance));
+      if (listChanged) {
+        await server.sendResourceListChanged();
+      }
+    } catch (error) {
+      console.error('Could not send resource notification:', error.message);
+    }
+  }
 }
 
-const server = new Server(
-  {
-    name: 'n8n-mcp-execution-server',
-    version: '1.0.0',
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
+// Save a snapshot of a workflow after this server changed it. Like
+// notifications, snapshots are best effort and never fail the tool call.
+async function recordSnapshot(instance, id, reason) {
+  try {
+    const workflow = await instance.api.get(`/workflows/${id}`);
+    return snapshots.save(instance.name, workflow, { reason });
+  } catch (error) {
+    console.error(`Could not save a snapshot of workflow ${id}:`, error.message);
+    return null;
+  }
+}
+
+// Save a snapshot of a workflow already fetched, best effort like recordSnapshot
+function saveSnapshot(instance, workflow, reason) {
+  try {
+    return snapshots.save(instance.name, workflow, { reason });
+  } catch (error) {
+    console.error(`Could not save a snapshot of workflow ${workflow.id}:`, error.message);
+    return null;
+  }
+}
+
+// Before overwriting a workflow, save the live definition unless the latest
+// snapshot already has it; it may have been edited in n8n since
+function preserveLiveVersion(instance, workflow, reason) {
+  try {
+    const latest = snapshots.latest(instance.name, workflow.id);
+    if (!latest || !diffWorkflows(latest.workflow, workflow).identical) {
+      snapshots.save(instance.name, workflow, { reason: `before-${reason}` });
+    }
+  } catch (error) {
+    console.error(`Could not save a snapshot of workflow ${workflow.id}:`, error.message);
+  }
+}
+
+// Apply a change to the workflow registry. Like snapshots, registry writes
+// are best effort and never fail the tool call.
+function writeRegistry(change) {
+  try {
+    return change();
+  } catch (error) {
+    console.error('Could not update the workflow registry:', error.message);
+    return null;
+  }
+}
+
+// What the registry records about how a workflow is started
+function registryEndpoints(instance, nodes) {
+  const trigger = nodes.find(isUrlTrigger) || nodes.find(isTriggerNode);
+  const invocation = trigger ? describeTrigger(trigger, instance.urls) : {};
+  return {
+    triggerType: invocation.type || null,
+    webhookPath: invocation.webhookPath || null,
+    productionUrl: invocation.productionUrl || null,
+    testUrl: invocation.testUrl || null
+  };
+}
+
+// Load the node types an instance has installed, community nodes included,
+// from the description the n8n editor uses (not part of the public API)
+async function refreshNodeCatalog(instance) {
+  try {
+    const response = await requestWithRetry({
+      method: 'get',
+      url: `${instance.baseUrl}/types/nodes.json`,
+      ...(instance.timeout ? { timeout: instance.timeout } : {})
+    }, { maxRetries: instance.maxRetries });
+    if (!Array.isArray(response.data)) {
+      throw new McpError(ErrorCode.InternalError, `${instance.baseUrl}/types/nodes.json did not return a list of node types`);
+    }
+
+    const { reported, added } = nodeCatalog.refresh(instance.name, response.data);
+    return {
+      success: true,
+      ...nodeCatalog.info(instance.name),
+      reported,
+      added,
+      message: `Loaded ${reported} node types from instance "${instance.name}"; ${added.length} of them are not in the bundled catalog`
+    };
+  } catch (error) {
+    throw toMcpError(error, 'Failed to load node types', { instance: instance.name });
+  }
+}
+
+// A type the bundled catalog doesn't know may be installed on the instance,
+// so the instance's own catalog is loaded once before such a type is
+// rejected. Returns a note for the rejection when loading failed.
+async function loadCatalogFor(instance, nodes) {
+  if (!nodeCatalog.isRefreshed(instance.name) && nodes.some(node => node.type && !nodeCatalog.get(instance.name, node.type))) {
+    try {
+      await refreshNodeCatalog(instance);
+    } catch (error) {
+      return `; the instance's own node types could not be loaded, so only the bundled catalog was checked (${error.message})`;
+    }
   }
-);
+  return '';
+}
+
+// Check the node types of new nodes and fill in default typeVersions
+async function checkNodeTypes(instance, nodes) {
+  const note = await loadCatalogFor(instance, nodes);
+  return nodeCatalog.resolveNodes(instance.name, nodes, { note });
+}
+
+// Refuse workflows the policy doesn't allow on this instance
+function assertAllowedWorkflow(instance, definition) {
+  policy.assertWorkflow(instance.name, definition);
+}
+
+// Refuse webhook calls to hosts the policy doesn't allow; the instance's own
+// webhook and form URLs are always allowed
+function assertAllowedWebhook(instance, webhookUrl) {
+  policy.assertWebhookUrl(instance.name, webhookUrl, Object.values(instance.urls));
+}
 
 // Generate unique webhook path
 function generateWebhookPath(workflowName) {
@@ -44,22 +233,6 @@ function generateWebhookPath(workflowName) {
   return `auto-${sanitizedName}-${timestamp}`;
 }
 
-// Create default webhook trigger node
-function createWebhookTriggerNode(webhookPath) {
-  return {
-    id: uuidv4(),
-    name: 'Webhook Trigger',
-    type: 'n8n-nodes-base.webhook',
-    typeVersion: 1,
-    position: [250, 300],
-    parameters: {
-      path: webhookPath,
-      httpMethod: 'POST',
-      responseMode: 'responseNode'
-    }
-  };
-}
-
 // Create default response node
 function createResponseNode() {
   return {
@@ -67,7 +240,6 @@ function createResponseNode() {
     name: 'Respond to Webhook',
     type: 'n8n-nodes-base.respondToWebhook',
     typeVersion: 1,
-    position: [450, 300],
     parameters: {
       respondWith: 'json',
       responseBody: JSON.stringify({
@@ -79,70 +251,74 @@ function createResponseNode() {
   };
 }
 
+// Assemble the nodes and connections of a new workflow around its trigger
+function buildWorkflowDefinition(name, additionalNodes = [], additionalConnections = [], trigger = {}) {
+  // Generate unique webhook path
+  const webhookPath = generateWebhookPath(name);
+  
+  // Create trigger and response nodes
+  const triggerNode = createTriggerNode(trigger, webhookPath);
+  const userNodes = additionalNodes.map(node => ({ id: uuidv4(), parameters: {}, ...node }));
+
+  // Only webhooks answering from a respond node need one. Callers that bring
+  // their own (e.g. one per IF branch) don't get the default one.
+  const responseNode = usesResponseNode(triggerNode) &&
+    !userNodes.some(node => node.type === 'n8n-nodes-base.respondToWebhook')
+    ? createResponseNode()
+    : null;
+  
+  // Combine all nodes
+  const nodes = [triggerNode, ...(responseNode ? [responseNode] : []), ...userNodes];
+  
+  // Wire the trigger into the caller's graph and its last node(s) into the response
+  const links = wireTriggerAndResponse({
+    trigger: triggerNode,
+    response: responseNode,
+    nodes: userNodes,
+    links: additionalConnections
+  });
+  const connections = buildConnections(nodes, links);
+
+  // Lay out everything the caller didn't place explicitly
+  const positioned = layoutWorkflow(nodes, connections, {
+    keep: userNodes.filter(node => Array.isArray(node.position)).map(node => node.name)
+  });
+
+  return { triggerNode, nodes: positioned, connections };
+}
+
+// Reject definitions the local validator finds errors in
+function assertValidWorkflow(definition) {
+  const validation = validateWorkflow(definition);
+  if (!validation.valid) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Workflow failed validation: ${formatFindings(validation.errors)}`
+    );
+  }
+  return validation;
+}
+
 // Enhanced create workflow function with webhook triggers
-async function createWorkflowWithWebhook(name, description = '', additionalNodes = [], additionalConnections = []) {
+async function createWorkflowWithWebhook(instance, name, description = '', additionalNodes = [], additionalConnections = [], trigger = {}, tags = []) {
   try {
-    // Generate unique webhook path
-    const webhookPath = generateWebhookPath(name);
-    
-    // Create webhook trigger and response nodes
-    const webhookNode = createWebhookTriggerNode(webhookPath);
-    const responseNode = createResponseNode();
-    
-    // Combine all nodes
-    const allNodes = [webhookNode, responseNode, ...additionalNodes];
-    
-    // Create basic connection from webhook to response
-    const basicConnection = {
-      source: webhookNode.id,
-      sourceOutput: 0,
-      target: responseNode.id,
-      targetInput: 0
-    };
+    const { triggerNode, nodes: builtNodes, connections } = buildWorkflowDefinition(
+      name,
+      await checkNodeTypes(instance, additionalNodes),
+      additionalConnections,
+      trigger
+    );
+    const validation = assertValidWorkflow({ nodes: builtNodes, connections });
+    assertAllowedWorkflow(instance, { nodes: builtNodes, connections });
     
-    // If additional nodes exist, connect webhook to first additional node instead
-    const connections = additionalNodes.length > 0 
-      ? [
-          {
-            source: webhookNode.id,
-            sourceOutput: 0,
-            target: additionalNodes[0].id,
-            targetInput: 0
-          },
-          ...additionalConnections
-        ]
-      : [basicConnection];
+    // Turn credential names into the { id, name } references n8n stores
+    const allNodes = await resolveNodeCredentials(instance, builtNodes);
     
     // Create workflow payload
     const workflowData = {
       name,
       nodes: allNodes,
-      connections: {
-        [webhookNode.name]: {
-          main: [connections.filter(c => c.source === webhookNode.id).map(c => ({
-            node: allNodes.find(n => n.id === c.target)?.name || '',
-            type: 'main',
-            index: c.targetInput || 0
-          }))]
-        },
-        // Add other node connections
-        ...connections.reduce((acc, conn) => {
-          const sourceNode = allNodes.find(n => n.id === conn.source);
-          const targetNode = allNodes.find(n => n.id === conn.target);
-          
-          if (sourceNode && targetNode && sourceNode.id !== webhookNode.id) {
-            if (!acc[sourceNode.name]) {
-              acc[sourceNode.name] = { main: [[]] };
-            }
-            acc[sourceNode.name].main[0].push({
-              node: targetNode.name,
-              type: 'main',
-              index: conn.targetInput || 0
-            });
-          }
-          return acc;
-        }, {})
-      },
+      connections,
       active: false, // Start inactive, will activate after creation
       settings: {},
       meta: {
@@ -155,33 +331,51 @@ async function createWorkflowWithWebhook(name, description = '', additionalNodes
     }
     
     // Create workflow
-    const createResponse = await axios.post(
-      `${N8N_API_URL}/workflows`,
-      workflowData,
-      {
-        headers: {
-          'X-N8N-API-KEY': N8N_API_KEY,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const created = await instance.api.post('/workflows', workflowData);
     
-    const workflowId = createResponse.data.id;
+    const workflowId = created.id;
     
-    // Activate workflow for production webhooks
-    await axios.post(
-      `${N8N_API_URL}/workflows/${workflowId}/activate`,
-      {},
-      {
-        headers: {
-          'X-N8N-API-KEY': N8N_API_KEY
-        }
+    // Tag the workflow; n8n ignores tags in the create payload, so they are set afterwards
+    const tagNames = [...new Set([instance.defaultTag, ...tags].filter(Boolean))];
+    let appliedTags = [];
+    if (tagNames.length > 0) {
+      try {
+        appliedTags = (await tagWorkflow(instance, workflowId, tagNames)).tags;
+      } catch (error) {
+        validation.warnings.push({
+          severity: 'warning',
+          rule: 'tagging-failed',
+          message: `Workflow was created but could not be tagged: ${error.message}`,
+          nodes: []
+        });
       }
-    );
+    }
+    
+    // Activate workflow for production webhooks; manual triggers can't be activated
+    const activate = canActivate(triggerNode) && policy.allowsAutoActivation(instance.name);
+    if (canActivate(triggerNode) && !activate) {
+      validation.warnings.push({
+        severity: 'warning',
+        rule: 'policy:autoActivate',
+        message: 'The policy does not allow activating workflows when they are created; activate it with activate_workflow',
+        nodes: []
+      });
+    }
+    if (activate) {
+      await instance.api.post(`/workflows/${workflowId}/activate`, {}, { idempotent: true });
+    }
     
-    // Generate webhook URLs
-    const productionWebhookUrl = `${WEBHOOK_PRODUCTION_URL}/${webhookPath}`;
-    const testWebhookUrl = `${WEBHOOK_TEST_URL}/${webhookPath}`;
+    // Describe how the workflow can be started, including its URLs
+    const invocation = describeTrigger(triggerNode, instance.urls);
+    
+    await workflowChanged(instance, workflowId, { listChanged: true });
+    const snapshot = await recordSnapshot(instance, workflowId, 'create');
+    writeRegistry(() => registry.record(instance.name, {
+      id: workflowId,
+      name,
+      description,
+      ...registryEndpoints(instance, allNodes)
+    }));
     
     return {
       success: true,
@@ -189,218 +383,2767 @@ async function createWorkflowWithWebhook(name, description = '', additionalNodes
         id: workflowId,
         name,
         description,
-        active: true,
-        webhookPath,
-        productionUrl: productionWebhookUrl,
-        testUrl: testWebhookUrl,
+        active: activate,
+        triggerType: invocation.type,
+        webhookPath: invocation.webhookPath,
+        productionUrl: invocation.productionUrl,
+        testUrl: invocation.testUrl,
+        invocation,
+        tags: appliedTags.map(tag => tag.name),
         nodes: allNodes.length,
-        connections: connections.length
+        connections: countConnections(connections)
       },
-      message: 'Workflow created successfully with webhook triggers and auto-activated'
+      snapshot: snapshot?.id ?? null,
+      warnings: validation.warnings,
+      message: activate
+        ? `Workflow created successfully with a ${invocation.type} trigger and auto-activated`
+        : `Workflow created successfully with a ${invocation.type} trigger; it was not activated`
     };
     
   } catch (error) {
+    if (error instanceof McpError) {
+      throw error;
+    }
     console.error('Error creating workflow:', error.response?.data || error.message);
-    throw new McpError(
-      ErrorCode.InternalError,
-      `Failed to create workflow: ${error.response?.data?.message || error.message}`
+    throw toMcpError(error, 'Failed to create workflow', { instance: instance.name });
+  }
+}
+
+// Describe the available templates and the parameters each one takes
+function listTemplates() {
+  const { templates, errors } = loadTemplates();
+
+  return {
+    templates: [...templates.values()].map(template => ({
+      id: template.id,
+      name: template.name,
+      description: template.description,
+      source: template.source,
+      parameters: template.parameters
+    })),
+    ...(errors.length > 0 ? { skippedFiles: errors } : {})
+  };
+}
+
+// Create a workflow from a template; `trigger` options override the template's
+async function createWorkflowFromTemplate(instance, { template: id, name, description = '', parameters = {}, trigger = {}, tags = [] } = {}) {
+  const { template, nodes, connections, trigger: templateTrigger } = renderTemplate(loadTemplates().templates, id, parameters);
+
+  const result = await createWorkflowWithWebhook(
+    instance,
+    name || template.name,
+    description || template.description,
+    nodes,
+    connections,
+    { ...templateTrigger, ...trigger },
+    tags
+  );
+  return { ...result, template: template.id };
+}
+
+// Node settings (beside parameters) that updateNodes may change: how a node
+// behaves when it fails. continueErrorOutput adds an error output after the
+// node's regular outputs.
+const NODE_ERROR_SETTINGS = ['onError', 'continueOnFail', 'retryOnFail', 'maxTries', 'waitBetweenTries'];
+const ON_ERROR_VALUES = ['stopWorkflow', 'continueRegularOutput', 'continueErrorOutput'];
+
+// Apply node and connection edits to a workflow definition
+function applyWorkflowEdits(workflow, edits = {}) {
+  const {
+    addNodes = [],
+    removeNodes = [],
+    renameNodes = [],
+    updateNodes = [],
+    addConnections = [],
+    removeConnections = []
+  } = edits;
+
+  const nodes = workflow.nodes.map(node => ({ ...node }));
+  const connections = JSON.parse(JSON.stringify(workflow.connections || {}));
+
+  const findNode = (ref) => resolveNode(nodes, ref);
+  const requireNode = (ref, action) => {
+    const node = findNode(ref);
+    if (!node) {
+      throw new McpError(ErrorCode.InvalidParams, `Cannot ${action}: node "${ref}" does not exist`);
+    }
+    return node;
+  };
+
+  for (const ref of removeNodes) {
+    const node = requireNode(ref, 'remove node');
+    // URL triggers own the workflow's URLs, so edits must leave them in place
+    if (isUrlTrigger(node)) {
+      throw new McpError(ErrorCode.InvalidParams, `Cannot remove node "${node.name}": the trigger that owns the workflow's URLs must be kept`);
+    }
+
+    nodes.splice(nodes.indexOf(node), 1);
+    delete connections[node.name];
+    for (const sourceName of Object.keys(connections)) {
+      for (const [type, outputs] of Object.entries(connections[sourceName])) {
+        connections[sourceName][type] = outputs.map(links => (links || []).filter(link => link.node !== node.name));
+      }
+    }
+  }
+
+  for (const { from, to } of renameNodes) {
+    const node = requireNode(from, 'rename node');
+    if (isUrlTrigger(node)) {
+      throw new McpError(ErrorCode.InvalidParams, `Cannot rename node "${node.name}": the trigger that owns the workflow's URLs must be kept`);
+    }
+    if (findNode(to)) {
+      throw new McpError(ErrorCode.InvalidParams, `Cannot rename node "${node.name}": a node named "${to}" already exists`);
+    }
+
+    const oldName = node.name;
+    node.name = to;
+    if (connections[oldName]) {
+      connections[to] = connections[oldName];
+      delete connections[oldName];
+    }
+    forEachConnectionLink(connections, link => {
+      if (link.node === oldName) {
+        link.node = to;
+      }
+    });
+  }
+
+  for (const { node: ref, parameters = {}, replaceParameters = false, typeVersion, ...settings } of updateNodes) {
+    const node = requireNode(ref, 'update node');
+    if (settings.onError !== undefined && !ON_ERROR_VALUES.includes(settings.onError)) {
+      throw new McpError(ErrorCode.InvalidParams, `onError of "${node.name}" must be one of ${ON_ERROR_VALUES.join(', ')}`);
+    }
+    const nextParameters = replaceParameters ? parameters : { ...node.parameters, ...parameters };
+
+    if (isUrlTrigger(node) && nextParameters.path !== node.parameters?.path) {
+      throw new McpError(ErrorCode.InvalidParams, `Cannot change the path of "${node.name}": existing webhook URLs would stop working`);
+    }
+
+    node.parameters = nextParameters;
+    if (typeVersion !== undefined) {
+      node.typeVersion = typeVersion;
+    }
+    for (const setting of NODE_ERROR_SETTINGS.filter(name => settings[name] !== undefined)) {
+      node[setting] = settings[setting];
+    }
+  }
+
+  for (const newNode of addNodes) {
+    if (findNode(newNode.name)) {
+      throw new McpError(ErrorCode.InvalidParams, `Cannot add node: a node named "${newNode.name}" already exists`);
+    }
+    nodes.push({ id: uuidv4(), parameters: {}, ...newNode });
+  }
+
+  for (const { source, sourceOutput, target, targetInput } of removeConnections) {
+    const sourceNode = requireNode(source, 'remove connection');
+    const targetNode = requireNode(target, 'remove connection');
+    if (!connections[sourceNode.name]?.main) {
+      continue;
+    }
+
+    connections[sourceNode.name].main = connections[sourceNode.name].main.map((links, outputIndex) =>
+      (links || []).filter(link =>
+        !(link.node === targetNode.name &&
+          (sourceOutput === undefined || sourceOutput === outputIndex) &&
+          (targetInput === undefined || targetInput === link.index))
+      )
     );
   }
+
+  for (const { source, sourceOutput = 0, target, targetInput = 0 } of addConnections) {
+    const sourceNode = requireNode(source, 'add connection');
+    const targetNode = requireNode(target, 'add connection');
+
+    connections[sourceNode.name] = connections[sourceNode.name] || { main: [] };
+    const outputs = connections[sourceNode.name].main = connections[sourceNode.name].main || [];
+    while (outputs.length <= sourceOutput) {
+      outputs.push([]);
+    }
+
+    if (!outputs[sourceOutput].some(link => link.node === targetNode.name && link.index === targetInput)) {
+      outputs[sourceOutput].push({ node: targetNode.name, type: 'main', index: targetInput });
+    }
+  }
+
+  // Place new nodes next to their neighbours; existing nodes keep their positions
+  return { nodes: layoutWorkflow(nodes, connections), connections };
 }
 
-// Execute workflow via webhook
-async function executeWorkflowWebhook(webhookUrl, payload = {}, useTestUrl = false) {
+// Update an existing workflow in place, keeping its webhook trigger and URLs
+async function updateWorkflow(instance, id, edits = {}) {
   try {
-    const url = useTestUrl && webhookUrl.includes('/webhook/') 
-      ? webhookUrl.replace('/webhook/', '/webhook-test/')
-      : webhookUrl;
-    
-    const response = await axios.post(url, payload, {
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000 // 30 second timeout
-    });
-    
+    const addNodes = await checkNodeTypes(instance, edits.addNodes || []);
+    const current = await instance.api.get(`/workflows/${id}`);
+    preserveLiveVersion(instance, current, 'update');
+
+    const edited = applyWorkflowEdits(current, { ...edits, addNodes });
+    const validation = assertValidWorkflow(edited);
+    assertAllowedWorkflow(instance, edited);
+    const { connections } = edited;
+    const nodes = await resolveNodeCredentials(instance, edited.nodes);
+
+    // The update endpoint only accepts these fields
+    const workflowData = {
+      name: edits.name || current.name,
+      nodes,
+      connections,
+      settings: current.settings || {}
+    };
+    if (current.staticData) {
+      workflowData.staticData = current.staticData;
+    }
+
+    await instance.api.put(`/workflows/${id}`, workflowData);
+
+    // Re-activate so the production webhook keeps being registered
+    if (current.active) {
+      await instance.api.post(`/workflows/${id}/activate`, {}, { idempotent: true });
+    }
+
+    const urlTrigger = nodes.find(isUrlTrigger);
+    const invocation = urlTrigger ? describeTrigger(urlTrigger, instance.urls) : {};
+
+    await workflowChanged(instance, id);
+    const snapshot = await recordSnapshot(instance, id, 'update');
+    writeRegistry(() => registry.update(instance.name, id, { name: workflowData.name, ...registryEndpoints(instance, nodes) }));
+
     return {
       success: true,
-      executionId: response.headers['x-n8n-execution-id'] || 'unknown',
-      data: response.data,
-      status: response.status,
-      message: 'Workflow executed successfully'
+      workflow: {
+        id,
+        name: workflowData.name,
+        active: current.active,
+        webhookPath: invocation.webhookPath,
+        productionUrl: invocation.productionUrl,
+        testUrl: invocation.testUrl,
+        nodes: nodes.length
+      },
+      snapshot: snapshot?.id ?? null,
+      warnings: validation.warnings,
+      message: current.active
+        ? 'Workflow updated and re-activated; webhook URLs are unchanged'
+        : 'Workflow updated; webhook URLs are unchanged'
     };
-    
+
   } catch (error) {
-    console.error('Error executing workflow:', error.response?.data || error.message);
-    return {
-      success: false,
-      error: error.response?.data || error.message,
-      status: error.response?.status || 500,
-      message: 'Workflow execution failed'
-    };
+    if (error instanceof McpError) {
+      throw error;
+    }
+    console.error('Error updating workflow:', error.response?.data || error.message);
+    throw toMcpError(error, 'Failed to update workflow', { instance: instance.name });
   }
 }
 
-// List tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: [
-      {
-        name: 'create_workflow',
-        description: 'Create a new n8n workflow with automatic webhook triggers. All workflows are created with webhook triggers and auto-activated for immediate execution.',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            name: {
-              type: 'string',
-              description: 'Name of the workflow'
-            },
-            description: {
-              type: 'string',
-              description: 'Optional description of the workflow'
-            },
-            nodes: {
-              type: 'array',
-              description: 'Additional nodes to include in the workflow (beyond webhook trigger)',
-              items: {
-                type: 'object',
-                properties: {
-                  name: { type: 'string' },
-                  type: { type: 'string' },
-                  parameters: { type: 'object' }
-                },
-                required: ['name', 'type']
-              }
-            },
-            connections: {
-              type: 'array',
-              description: 'Additional connections between nodes',
-              items: {
-                type: 'object',
-                properties: {
-                  source: { type: 'string' },
-                  sourceOutput: { type: 'number' },
-                  target: { type: 'string' },
-                  targetInput: { type: 'number' }
-                },
-                required: ['source', 'target']
-              }
-            }
-          },
-          required: ['name']
-        }
-      },
-      {
-        name: 'execute_workflow_webhook',
-        description: 'Execute an n8n workflow via its webhook URL. Works with both production and test webhook URLs.',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            webhookUrl: {
-              type: 'string',
-              description: 'The webhook URL to execute (production or test)'
-            },
-            payload: {
-              type: 'object',
-              description: 'Optional JSON payload to send with the webhook request'
-            },
-            useTestUrl: {
-              type: 'boolean',
-              description: 'Force use of test URL even if production URL is provided',
-              default: false
-            }
-          },
-          required: ['webhookUrl']
-        }
-      },
-      {
-        name: 'list_workflows',
-        description: 'List all workflows from n8n',
-        inputSchema: {
-          type: 'object',
-          properties: {}
-        }
-      },
-      {
-        name: 'get_workflow',
-        description: 'Get a workflow by ID',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            id: {
-              type: 'string',
-              description: 'Workflow ID'
-            }
-          },
-          required: ['id']
-        }
-      },
-      {
-        name: 'activate_workflow',
-        description: 'Activate a workflow by ID',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            id: {
-              type: 'string',
-              description: 'Workflow ID'
-            }
-          },
-          required: ['id']
-        }
-      },
-      {
-        name: 'deactivate_workflow',
-        description: 'Deactivate a workflow by ID',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            id: {
-              type: 'string',
-              description: 'Workflow ID'
-            }
-          },
-          required: ['id']
-        }
-      }
-    ]
-  };
+// A validation result with one error, for input that can't even be built into a workflow
+const invalidDefinition = (rule, error, nodes = []) => ({
+  valid: false,
+  errors: [{ severity: 'error', rule, message: error.message.replace(/^MCP error -?\d+: /, ''), nodes }],
+  warnings: []
 });
 
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  switch (request.params.name) {
-    case 'create_workflow':
+// Validate a workflow without sending it to n8n: an existing workflow by ID,
+// a raw n8n definition, or the nodes/connections create_workflow would take.
+// The latter are checked against the node catalog like create_workflow does.
+async function validateWorkflowDefinition(instance, { id, name = 'validation', nodes = [], connections = [], trigger = {} } = {}) {
+  let definition;
+
+  if (id) {
+    try {
+      const workflow = await instance.api.get(`/workflows/${id}`);
+      definition = { nodes: workflow.nodes, connections: workflow.connections };
+    } catch (error) {
+      throw toMcpError(error, 'Failed to get workflow', { instance: instance.name });
+    }
+  } else if (!Array.isArray(connections)) {
+    definition = { nodes, connections };
+  } else {
+    const note = await loadCatalogFor(instance, nodes);
+    const problems = nodeCatalog.nodeTypeProblems(instance.name, nodes);
+    if (problems.length > 0) {
       return {
-        content: [
+        valid: false,
+        errors: problems.map(problem => ({
+          severity: 'error',
+          rule: 'invalid-node-type',
+          message: describeNodeTypeProblem(problem) + (problem.suggestions ? note : ''),
+          nodes: problem.node ? [problem.node] : [],
+          ...(problem.suggestions ? { suggestions: problem.suggestions } : {})
+        })),
+        warnings: []
+      };
+    }
+    const resolved = nodeCatalog.resolveNodes(instance.name, nodes);
+
+    try {
+      const { nodes: allNodes, connections: built } = buildWorkflowDefinition(name, resolved, connections, trigger);
+      definition = { nodes: allNodes, connections: built };
+    } catch (error) {
+      if (!(error instanceof McpError)) {
+        throw error;
+      }
+      return invalidDefinition('invalid-connection', error);
+    }
+  }
+
+  return validateWorkflow(definition);
+}
+
+// Compact view of a workflow: enough to pick one without its full definition
+function summarizeWorkflow(instance, workflow) {
+  const nodes = workflow.nodes || [];
+  const trigger = nodes.find(isUrlTrigger) || nodes.find(isTriggerNode);
+  const invocation = trigger ? describeTrigger(trigger, instance.urls) : null;
+
+  return {
+    id: workflow.id,
+    name: workflow.name,
+    active: workflow.active,
+    tags: (workflow.tags || []).map(tag => tag.name),
+    updatedAt: workflow.updatedAt,
+    triggerType: invocation?.type || null,
+    productionUrl: invocation?.productionUrl,
+    testUrl: invocation?.testUrl
+  };
+}
+
+// List workflows with filters, one page at a time or following every cursor
+async function listWorkflows(instance, { limit = 50, cursor, active, tags, nameContains, nameRegex, fetchAll = false, full = false } = {}) {
+  let regex;
+  if (nameRegex) {
+    try {
+      regex = new RegExp(nameRegex, 'i');
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid nameRegex: ${error.message}`);
+    }
+  }
+
+  const tagList = Array.isArray(tags) ? tags : tags ? [tags] : [];
+  const workflows = [];
+  let nextCursor = cursor;
+  try {
+    do {
+      const page = await instance.api.get('/workflows', {
+        params: {
+          limit,
+          cursor: nextCursor,
+          active,
+          tags: tagList.length > 0 ? tagList.join(',') : undefined
+        }
+      });
+      workflows.push(...(page.data || []));
+      nextCursor = page.nextCursor || null;
+    } while (fetchAll && nextCursor);
+  } catch (error) {
+    throw toMcpError(error, 'Failed to list workflows', { instance: instance.name });
+  }
+
+  // The API only filters by exact name, so match names here
+  const needle = nameContains?.toLowerCase();
+  const matches = workflows.filter(workflow =>
+    (!needle || workflow.name.toLowerCase().includes(needle)) &&
+    (!regex || regex.test(workflow.name))
+  );
+
+  return {
+    workflows: full ? matches : matches.map(workflow => summarizeWorkflow(instance, workflow)),
+    count: matches.length,
+    nextCursor
+  };
+}
+
+// Fetch every workflow, following pagination cursors
+async function listAllWorkflows(instance) {
+  const workflows = [];
+  let cursor;
+  do {
+    const page = await instance.api.get('/workflows', { params: { cursor } });
+    workflows.push(...(page.data || []));
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return workflows;
+}
+
+// Delete a workflow, deactivating it first so its webhooks are unregistered.
+// Its definition is snapshotted before anything changes, so the snapshot file
+// still has it once the workflow is gone.
+async function deleteWorkflow(instance, id) {
+  try {
+    const workflow = await instance.api.get(`/workflows/${id}`);
+    const snapshot = saveSnapshot(instance, workflow, 'delete');
+
+    if (workflow.active) {
+      await instance.api.post(`/workflows/${id}/deactivate`, {}, { idempotent: true });
+    }
+
+    await instance.api.delete(`/workflows/${id}`);
+    await workflowChanged(instance, id, { listChanged: true });
+    writeRegistry(() => registry.remove(instance.name, id));
+
+    return {
+      success: true,
+      workflow: { id, name: workflow.name, wasActive: workflow.active },
+      snapshot: snapshot?.id ?? null,
+      message: 'Workflow deleted successfully'
+    };
+
+  } catch (error) {
+    console.error('Error deleting workflow:', error.response?.data || error.message);
+    throw toMcpError(error, 'Failed to delete workflow', { instance: instance.name });
+  }
+}
+
+// Delete workflows matching all of the given criteria
+async function cleanupWorkflows(instance, { createdByServer = true, namePattern, olderThanDays, inactiveOnly = false, dryRun = true } = {}) {
+  let nameRegex;
+  if (namePattern) {
+    try {
+      nameRegex = new RegExp(namePattern);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid namePattern: ${error.message}`);
+    }
+  }
+  if (!createdByServer && !nameRegex && olderThanDays === undefined && !inactiveOnly) {
+    throw new McpError(ErrorCode.InvalidParams, 'Refusing to clean up without any selection criteria');
+  }
+
+  let workflows;
+  try {
+    workflows = await listAllWorkflows(instance);
+  } catch (error) {
+    throw toMcpError(error, 'Failed to list workflows', { instance: instance.name });
+  }
+
+  const cutoff = olderThanDays !== undefined ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+  const matches = workflows.filter(workflow =>
+    (!createdByServer || workflow.meta?.templateCreatedBy === 'n8n-mcp-execution-server') &&
+    (!nameRegex || nameRegex.test(workflow.name)) &&
+    (cutoff === null || new Date(workflow.createdAt).getTime() < cutoff) &&
+    (!inactiveOnly || !workflow.active)
+  );
+
+  const selected = matches.map(workflow => ({
+    id: workflow.id,
+    name: workflow.name,
+    active: workflow.active,
+    createdAt: workflow.createdAt
+  }));
+
+  if (dryRun) {
+    return {
+      success: true,
+      dryRun: true,
+      workflows: selected,
+      count: selected.length,
+      message: `${selected.length} workflow(s) would be deleted`
+    };
+  }
+
+  const deleted = [];
+  const failed = [];
+  for (const workflow of selected) {
+    try {
+      await deleteWorkflow(instance, workflow.id);
+      deleted.push(workflow);
+    } catch (error) {
+      failed.push({ ...workflow, error: error.message });
+    }
+  }
+
+  return {
+    success: failed.length === 0,
+    dryRun: false,
+    deleted,
+    failed,
+    message: `Deleted ${deleted.length} workflow(s)${failed.length ? `, ${failed.length} failed` : ''}`
+  };
+}
+
+// Write a workflow to a normalized, git-friendly JSON file
+async function exportWorkflow(instance, { id, directory, fileName } = {}) {
+  try {
+    const workflow = await instance.api.get(`/workflows/${id}`);
+    const normalized = normalizeWorkflow(workflow);
+    const file = writeWorkflowFile(directory, fileName || workflowFileName(workflow.name), normalized);
+
+    return {
+      success: true,
+      id,
+      name: workflow.name,
+      file,
+      nodes: normalized.nodes.length,
+      message: 'Workflow exported; IDs, timestamps and credential IDs were stripped'
+    };
+  } catch (error) {
+    throw toMcpError(error, 'Failed to export workflow', { instance: instance.name });
+  }
+}
+
+// Create a workflow from a file written by export_workflow or exported from
+// the n8n editor, or update an existing workflow from it
+async function importWorkflow(instance, { file, id, matchByName = false, activate = false } = {}) {
+  if (!file) {
+    throw new McpError(ErrorCode.InvalidParams, 'file is required');
+  }
+  const definition = normalizeWorkflow(readWorkflowFile(file));
+
+  try {
+    const existing = await listAllWorkflows(instance);
+
+    let target = null;
+    if (id) {
+      target = existing.find(wf => wf.id === id);
+      if (!target) {
+        throw new McpError(ErrorCode.InvalidParams, `Workflow ${id} does not exist on instance "${instance.name}"`);
+      }
+    } else if (matchByName) {
+      const matches = existing.filter(wf => wf.name === definition.name);
+      if (matches.length > 1) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `${matches.length} workflows are named "${definition.name}" (${matches.map(wf => wf.id).join(', ')}); pass id to choose one`
+        );
+      }
+      target = matches[0] || null;
+    }
+
+    // Paths used by other workflows; webhooks on the same path would collide
+    const takenPaths = new Set(
+      existing
+        .filter(wf => wf.id !== target?.id)
+        .flatMap(wf => (wf.nodes || []).filter(isUrlTrigger).map(node => node.parameters?.path))
+        .filter(Boolean)
+    );
+
+    // Keep node IDs when overwriting, so the editor sees the same nodes
+    const previousIds = new Map((target?.nodes || []).map(node => [node.name, node.id]));
+    const renamedPaths = [];
+    const importedNodes = definition.nodes.map(node => {
+      const withId = { id: previousIds.get(node.name) || uuidv4(), ...node };
+      if (!isUrlTrigger(node) || !takenPaths.has(node.parameters?.path)) {
+        return withId;
+      }
+
+      const newPath = generateWebhookPath(definition.name);
+      renamedPaths.push({ node: node.name, from: node.parameters.path, to: newPath });
+      return { ...withId, parameters: { ...node.parameters, path: newPath } };
+    });
+
+    const validation = assertValidWorkflow({ nodes: importedNodes, connections: definition.connections });
+    assertAllowedWorkflow(instance, { nodes: importedNodes, connections: definition.connections });
+    const nodes = await resolveNodeCredentials(instance, importedNodes);
+
+    const workflowData = {
+      name: definition.name,
+      nodes,
+      connections: definition.connections,
+      settings: definition.settings
+    };
+
+    let workflowId;
+    if (target) {
+      if (target.staticData) {
+        workflowData.staticData = target.staticData;
+      }
+      preserveLiveVersion(instance, target, 'import');
+      await instance.api.put(`/workflows/${target.id}`, workflowData);
+      workflowId = target.id;
+    } else {
+      const created = await instance.api.post('/workflows', {
+        ...workflowData,
+        ...(definition.meta ? { meta: definition.meta } : {})
+      });
+      workflowId = created.id;
+    }
+
+    if (definition.tags.length > 0) {
+      await tagWorkflow(instance, workflowId, definition.tags);
+    }
+
+    // Overwritten active workflows are re-activated so their webhooks stay
+    // registered; activating anything else is up to the policy
+    const trigger = nodes.find(isUrlTrigger) || nodes.find(isTriggerNode);
+    const activationAllowed = Boolean(target?.active) || policy.allowsAutoActivation(instance.name);
+    if (activate && !activationAllowed) {
+      validation.warnings.push({
+        severity: 'warning',
+        rule: 'policy:autoActivate',
+        message: 'The policy does not allow activating workflows when they are imported; activate it with activate_workflow',
+        nodes: []
+      });
+    }
+    const active = Boolean(((activate && activationAllowed) || target?.active) && trigger && canActivate(trigger));
+    if (active) {
+      await instance.api.post(`/workflows/${workflowId}/activate`, {}, { idempotent: true });
+    }
+
+    const invocation = trigger ? describeTrigger(trigger, instance.urls) : {};
+
+    await workflowChanged(instance, workflowId, { listChanged: !target });
+    const snapshot = await recordSnapshot(instance, workflowId, 'import');
+    const endpoints = registryEndpoints(instance, nodes);
+    writeRegistry(() => (target
+      ? registry.update(instance.name, workflowId, { name: definition.name, ...endpoints })
+      : registry.record(instance.name, {
+        id: workflowId,
+        name: definition.name,
+        description: definition.meta?.description || '',
+        ...endpoints
+      })));
+
+    return {
+      success: true,
+      action: target ? 'updated' : 'created',
+      workflow: {
+        id: workflowId,
+        name: definition.name,
+        active,
+        triggerType: invocation.type || null,
+        webhookPath: invocation.webhookPath,
+        productionUrl: invocation.productionUrl,
+        testUrl: invocation.testUrl,
+        tags: definition.tags,
+        nodes: nodes.length
+      },
+      renamedPaths,
+      snapshot: snapshot?.id ?? null,
+      warnings: validation.warnings,
+      message: `Workflow ${target ? 'updated' : 'created'} from ${file}` +
+        (renamedPaths.length > 0 ? '; webhook paths already in use were regenerated' : '')
+    };
+
+  } catch (error) {
+    throw toMcpError(error, 'Failed to import workflow', { instance: instance.name });
+  }
+}
+
+// Save a snapshot of a workflow on request
+async function snapshotWorkflow(instance, { id, note } = {}) {
+  try {
+    const workflow = await instance.api.get(`/workflows/${id}`);
+    const snapshot = snapshots.save(instance.name, workflow, { reason: 'manual', note });
+    return { success: true, snapshot, message: `Saved snapshot ${snapshot.id} of workflow ${id}` };
+  } catch (error) {
+    throw toMcpError(error, 'Failed to snapshot workflow', { instance: instance.name });
+  }
+}
+
+// Snapshots kept for a workflow, newest first. Works for deleted workflows too.
+function listSnapshots(instance, { id } = {}) {
+  const list = snapshots.list(instance.name, id);
+  return { workflowId: id, snapshots: list, count: list.length };
+}
+
+// Compare two versions of a workflow, each a snapshot ID or "live". `from`
+// defaults to the latest snapshot, so the diff shows what changed since.
+async function diffWorkflow(instance, { id, from, to = 'live' } = {}) {
+  const load = async (ref) => {
+    if (ref === 'live') {
+      return { version: 'live', workflow: await instance.api.get(`/workflows/${id}`) };
+    }
+    const { workflow, ...snapshot } = snapshots.read(instance.name, id, ref);
+    return { version: { snapshot: snapshot.id, reason: snapshot.reason, createdAt: snapshot.createdAt }, workflow };
+  };
+
+  let fromRef = from;
+  if (!fromRef) {
+    const latest = snapshots.latest(instance.name, id);
+    if (!latest) {
+      throw new McpError(ErrorCode.InvalidParams, `Workflow ${id} has no snapshots yet; snapshot_workflow saves one`);
+    }
+    fromRef = latest.id;
+  }
+
+  try {
+    const before = await load(fromRef);
+    const after = await load(to);
+    return { workflowId: id, from: before.version, to: after.version, ...diffWorkflows(before.workflow, after.workflow) };
+  } catch (error) {
+    throw toMcpError(error, 'Failed to diff workflow', { instance: instance.name });
+  }
+}
+
+// Restore the nodes, connections, settings and name of a snapshot. Webhook
+// triggers keep the paths they have now, so callers' URLs keep working; tags
+// and activation state stay as they are.
+async function rollbackWorkflow(instance, { id, snapshot: snapshotId } = {}) {
+  if (!snapshotId) {
+    throw new McpError(ErrorCode.InvalidParams, 'snapshot is required; list_snapshots shows the ones kept');
+  }
+  const { workflow: restored, ...snapshot } = snapshots.read(instance.name, id, snapshotId);
+
+  try {
+    const current = await instance.api.get(`/workflows/${id}`);
+    preserveLiveVersion(instance, current, 'rollback');
+
+    // Match each URL trigger in the snapshot to a live one, by name first and then by type
+    const liveTriggers = (current.nodes || []).filter(isUrlTrigger);
+    const matchTrigger = (node) => {
+      const match = liveTriggers.find(live => live.name === node.name && live.type === node.type) ||
+        liveTriggers.find(live => live.type === node.type);
+      if (match) {
+        liveTriggers.splice(liveTriggers.indexOf(match), 1);
+      }
+      return match;
+    };
+
+    // Keep node IDs, so the editor sees the same nodes
+    const liveIds = new Map((current.nodes || []).map(node => [node.name, node.id]));
+    const keptPaths = [];
+    const restoredNodes = (restored.nodes || []).map(node => {
+      const withId = { ...node, id: liveIds.get(node.name) || node.id || uuidv4() };
+      const live = isUrlTrigger(node) ? matchTrigger(node) : null;
+      if (!live?.parameters?.path) {
+        return withId;
+      }
+
+      if (live.parameters.path !== node.parameters?.path) {
+        keptPaths.push({ node: node.name, snapshotPath: node.parameters?.path ?? null, livePath: live.parameters.path });
+      }
+      return {
+        ...withId,
+        ...(live.webhookId ? { webhookId: live.webhookId } : {}),
+        parameters: { ...node.parameters, path: live.parameters.path }
+      };
+    });
+
+    const connections = restored.connections || {};
+    const validation = assertValidWorkflow({ nodes: restoredNodes, connections });
+    assertAllowedWorkflow(instance, { nodes: restoredNodes, connections });
+    const nodes = await resolveNodeCredentials(instance, restoredNodes);
+
+    const workflowData = {
+      name: restored.name,
+      nodes,
+      connections,
+      settings: restored.settings || {}
+    };
+    if (current.staticData) {
+      workflowData.staticData = current.staticData;
+    }
+
+    await instance.api.put(`/workflows/${id}`, workflowData);
+
+    // Re-activate so the production webhook keeps being registered
+    if (current.active) {
+      await instance.api.post(`/workflows/${id}/activate`, {}, { idempotent: true });
+    }
+
+    const urlTrigger = nodes.find(isUrlTrigger);
+    const invocation = urlTrigger ? describeTrigger(urlTrigger, instance.urls) : {};
+
+    await workflowChanged(instance, id);
+    const saved = await recordSnapshot(instance, id, 'rollback');
+    writeRegistry(() => registry.update(instance.name, id, { name: workflowData.name, ...registryEndpoints(instance, nodes) }));
+
+    return {
+      success: true,
+      workflow: {
+        id,
+        name: workflowData.name,
+        active: current.active,
+        webhookPath: invocation.webhookPath,
+        productionUrl: invocation.productionUrl,
+        testUrl: invocation.testUrl,
+        nodes: nodes.length
+      },
+      restoredFrom: { snapshot: snapshot.id, reason: snapshot.reason, createdAt: snapshot.createdAt },
+      keptPaths,
+      snapshot: saved?.id ?? null,
+      warnings: validation.warnings,
+      message: `Workflow rolled back to snapshot ${snapshot.id}` +
+        (keptPaths.length > 0 ? '; the live webhook paths were kept' : '')
+    };
+
+  } catch (error) {
+    if (error instanceof McpError) {
+      throw error;
+    }
+    console.error('Error rolling back workflow:', error.response?.data || error.message);
+    throw toMcpError(error, 'Failed to roll back workflow', { instance: instance.name });
+  }
+}
+
+// Search the node catalog of an instance
+function searchNodeTypes(instance, { query, group, limit = 20 } = {}) {
+  const nodeTypes = nodeCatalog.search(instance.name, { query, group, limit });
+  return { catalog: nodeCatalog.info(instance.name), nodeTypes, count: nodeTypes.length };
+}
+
+// A node type with its versions, ports and parameter schema, and a node to
+// start from: its required parameters that always apply, set to their defaults
+function describeNodeType(instance, { type } = {}) {
+  if (!type) {
+    throw new McpError(ErrorCode.InvalidParams, 'type is required');
+  }
+  const entry = nodeCatalog.describe(instance.name, type);
+  const parameters = Object.fromEntries(
+    entry.parameters
+      .filter(parameter => parameter.required && !parameter.showWhen)
+      .map(parameter => [parameter.name, parameter.default])
+  );
+  return {
+    ...entry,
+    example: { name: entry.displayName, type: entry.type, typeVersion: entry.defaultVersion, parameters }
+  };
+}
+
+// Look up registered workflows by ID or name, or list all of them
+function lookupWorkflow(instance, { id, name } = {}) {
+  if (!id && !name) {
+    const workflows = registry.list(instance.name);
+    return { workflows, count: workflows.length };
+  }
+
+  const workflows = registry.lookup(instance.name, { id, name });
+  if (workflows.length === 0) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `No workflow ${id ? `with ID ${id}` : `named "${name}"`} in the registry of instance "${instance.name}"; find_webhook matches names loosely, and sync_registry picks up workflows created before the registry`
+    );
+  }
+  return { workflows, count: workflows.length };
+}
+
+// Registered workflows whose name resembles the query, best match first
+function findWebhook(instance, { query, limit = 5 } = {}) {
+  if (!query) {
+    throw new McpError(ErrorCode.InvalidParams, 'query is required');
+  }
+  const matches = registry.search(instance.name, query, { limit }).map(({ score, entry }) => ({
+    score,
+    id: entry.id,
+    name: entry.name,
+    triggerType: entry.triggerType,
+    webhookPath: entry.webhookPath,
+    productionUrl: entry.productionUrl,
+    testUrl: entry.testUrl,
+    lastExecution: entry.lastExecution
+  }));
+  return { query, matches, count: matches.length };
+}
+
+// Reconcile the registry with n8n: forget deleted workflows, follow renames
+// and trigger changes, and register server-created workflows it is missing
+async function syncRegistry(instance, { dryRun = false } = {}) {
+  let workflows;
+  try {
+    workflows = await listAllWorkflows(instance);
+  } catch (error) {
+    throw toMcpError(error, 'Failed to list workflows', { instance: instance.name });
+  }
+
+  const live = new Map(workflows.map(workflow => [workflow.id, workflow]));
+  const entries = registry.list(instance.name);
+  const removed = [];
+  const renamed = [];
+  const pathsChanged = [];
+  const updates = [];
+
+  for (const entry of entries) {
+    const workflow = live.get(entry.id);
+    if (!workflow) {
+      removed.push({ id: entry.id, name: entry.name });
+      continue;
+    }
+
+    const fields = { name: workflow.name, ...registryEndpoints(instance, workflow.nodes || []) };
+    if (fields.name !== entry.name) {
+      renamed.push({ id: entry.id, from: entry.name, to: fields.name });
+    }
+    if (fields.webhookPath !== entry.webhookPath) {
+      pathsChanged.push({ id: entry.id, name: fields.name, from: entry.webhookPath, to: fields.webhookPath });
+    }
+    if (Object.keys(fields).some(key => fields[key] !== entry[key])) {
+      updates.push({ id: entry.id, fields });
+    }
+  }
+
+  const known = new Set(entries.map(entry => entry.id));
+  const added = workflows
+    .filter(workflow => !known.has(workflow.id) && workflow.meta?.templateCreatedBy === 'n8n-mcp-execution-server')
+    .map(workflow => ({
+      id: workflow.id,
+      name: workflow.name,
+      description: workflow.meta?.description || '',
+      ...registryEndpoints(instance, workflow.nodes || []),
+      ...(workflow.createdAt ? { createdAt: workflow.createdAt } : {})
+    }));
+
+  if (!dryRun) {
+    removed.forEach(entry => registry.remove(instance.name, entry.id));
+    updates.forEach(({ id, fields }) => registry.update(instance.name, id, fields));
+    added.forEach(fields => registry.record(instance.name, fields));
+  }
+
+  return {
+    success: true,
+    dryRun,
+    checked: entries.length,
+    removed,
+    renamed,
+    pathsChanged,
+    added: added.map(({ id, name }) => ({ id, name })),
+    unchanged: entries.length - removed.length - updates.length,
+    message: `${dryRun ? 'Would remove' : 'Removed'} ${removed.length}, ${dryRun ? 'update' : 'updated'} ${updates.length} and ${dryRun ? 'add' : 'added'} ${added.length} registry entries`
+  };
+}
+
+// Execution statuses that mean n8n is still working on the run
+const PENDING_EXECUTION_STATUSES = ['new', 'running', 'waiting'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Summarize n8n run data node by node
+function summarizeRunData(runData = {}) {
+  return Object.entries(runData).map(([nodeName, runs]) => {
+    const failedRun = runs.find(run => run.error);
+    return {
+      node: nodeName,
+      runs: runs.length,
+      executionTime: runs.reduce((total, run) => total + (run.executionTime || 0), 0),
+      items: runs.reduce(
+        (total, run) => total + (run.data?.main || []).reduce((sum, output) => sum + (output?.length || 0), 0),
+        0
+      ),
+      error: failedRun ? failedRun.error.message || String(failedRun.error) : undefined
+    };
+  });
+}
+
+// Shape an n8n execution record for tool output
+function formatExecution(execution, includeData = false) {
+  const formatted = {
+    id: execution.id,
+    workflowId: execution.workflowId,
+    status: execution.status || (execution.finished ? 'success' : execution.stoppedAt ? 'error' : 'running'),
+    mode: execution.mode,
+    finished: execution.finished,
+    startedAt: execution.startedAt,
+    stoppedAt: execution.stoppedAt
+  };
+
+  const resultData = execution.data?.resultData;
+  if (resultData) {
+    formatted.lastNodeExecuted = resultData.lastNodeExecuted;
+    formatted.error = resultData.error?.message;
+    formatted.nodes = summarizeRunData(resultData.runData);
+
+    if (includeData) {
+      formatted.runData = resultData.runData;
+    }
+  }
+
+  return formatted;
+}
+
+// Get a single execution, optionally with node-by-node run data
+async function getExecution(instance, id, includeData = false) {
+  try {
+    const execution = await instance.api.get(`/executions/${id}`, { params: { includeData: true } });
+    return formatExecution(execution, includeData);
+  } catch (error) {
+    throw toMcpError(error, 'Failed to get execution', { instance: instance.name });
+  }
+}
+
+// List executions filtered by workflow, status and start time
+async function listExecutions(instance, { workflowId, status, startedAfter, startedBefore, limit = 20, cursor } = {}) {
+  try {
+    const page = await instance.api.get('/executions', { params: { workflowId, status, limit, cursor } });
+
+    const executions = page.data || [];
+    const after = startedAfter ? new Date(startedAfter).getTime() : -Infinity;
+    const before = startedBefore ? new Date(startedBefore).getTime() : Infinity;
+
+    // The API has no time filter, so apply the range here. Executions come
+    // newest first, so once a page reaches past startedAfter there is no
+    // point in following the cursor any further.
+    const inRange = executions.filter(execution => {
+      const startedAt = new Date(execution.startedAt).getTime();
+      return startedAt >= after && startedAt <= before;
+    });
+    const reachedRangeStart = executions.some(execution => new Date(execution.startedAt).getTime() < after);
+
+    return {
+      executions: inRange.map(execution => formatExecution(execution)),
+      count: inRange.length,
+      nextCursor: reachedRangeStart ? null : page.nextCursor || null
+    };
+  } catch (error) {
+    throw toMcpError(error, 'Failed to list executions', { instance: instance.name });
+  }
+}
+
+// Find the workflow whose webhook trigger listens on the given path
+async function findWorkflowByWebhookPath(instance, webhookPath) {
+  let cursor;
+  do {
+    const page = await instance.api.get('/workflows', { params: { cursor } });
+
+    const workflow = (page.data || []).find(wf =>
+      (wf.nodes || []).some(node => node.type === 'n8n-nodes-base.webhook' && node.parameters?.path === webhookPath)
+    );
+    if (workflow) {
+      return workflow;
+    }
+
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return null;
+}
+
+// The webhook path in a production or test webhook URL
+function webhookPathOf(webhookUrl) {
+  return webhookUrl.split(/\/webhook(?:-test)?\//)[1]?.split('?')[0] || null;
+}
+
+// Record how the latest call to a registered workflow's webhook went
+function recordLastExecution(instance, webhookUrl, outcome) {
+  const webhookPath = webhookPathOf(webhookUrl);
+  writeRegistry(() => {
+    const entry = webhookPath && registry.byWebhookPath(instance.name, webhookPath);
+    return entry
+      ? registry.update(instance.name, entry.id, { lastExecution: { at: new Date().toISOString(), ...outcome } })
+      : null;
+  });
+}
+
+// Work out which execution a webhook call started when n8n didn't tell us
+async function resolveWebhookExecutionId(instance, webhookUrl, requestedAt) {
+  const webhookPath = webhookPathOf(webhookUrl);
+  if (!webhookPath) {
+    return null;
+  }
+
+  const workflow = await findWorkflowByWebhookPath(instance, webhookPath);
+  if (!workflow) {
+    return null;
+  }
+
+  const { executions } = await listExecutions(instance, { workflowId: workflow.id, limit: 10 });
+  const execution = executions
+    .filter(e => new Date(e.startedAt).getTime() >= requestedAt - 1000)
+    .pop(); // Oldest run started after our request
+
+  return execution?.id || null;
+}
+
+// Poll an execution until n8n reports a final status
+async function waitForExecution(instance, executionId, timeout = 60000, pollInterval = 1000) {
+  const deadline = Date.now() + timeout;
+
+  while (true) {
+    const execution = await getExecution(instance, executionId);
+    if (!PENDING_EXECUTION_STATUSES.includes(execution.status)) {
+      return { ...execution, timedOut: false };
+    }
+    if (Date.now() + pollInterval > deadline) {
+      return { ...execution, timedOut: true };
+    }
+    await sleep(pollInterval);
+  }
+}
+
+// Send a webhook request built by buildWebhookRequest and read its response.
+// Binary responses come back as `attachment`, embedded resource content for a
+// tool result. `quiet` leaves failures to the caller to report.
+async function sendWebhookRequest(instance, request, { signal, quiet = false } = {}) {
+  try {
+    // A webhook call may have started the workflow, so it is never repeated on a gateway error
+    const response = await requestWithRetry({ ...request, signal }, { idempotent: false });
+    const body = readWebhookResponse(response);
+
+    return {
+      executionId: response.headers['x-n8n-execution-id'] || null,
+      status: response.status,
+      data: body.encoding === 'binary' ? undefined : body.data,
+      response: {
+        contentType: body.contentType,
+        size: body.size,
+        encoding: body.encoding,
+        fileName: body.fileName
+      },
+      attachment: body.encoding === 'binary' ? binaryAttachment(request.url, body) : null
+    };
+  } catch (error) {
+    // Error bodies were read as bytes too; decode them for the error message
+    if (error.response?.data instanceof ArrayBuffer || Buffer.isBuffer(error.response?.data)) {
+      const body = readWebhookResponse(error.response);
+      error.response.data = body.encoding === 'binary' ? undefined : body.data;
+    }
+    if (!quiet) {
+      console.error('Error executing workflow:', error.response?.data || error.message);
+    }
+    throw toMcpError(error, 'Failed to execute workflow', { instance: instance.name, target: 'webhook' });
+  }
+}
+
+// Execute workflow via webhook. Besides the polling options, `options` takes
+// the request shape (method, query, headers, bodyEncoding, files, timeout).
+// With `async`, the call runs as a background job and a job handle is returned.
+async function executeWorkflowWebhook(instance, webhookUrl, payload, useTestUrl = false, options = {}) {
+  const { async: runAsync = false, waitForCompletion = false, waitTimeout = 60000, pollInterval = 1000, owner, ...requestOptions } = options;
+
+  const url = useTestUrl && webhookUrl.includes('/webhook/')
+    ? webhookUrl.replace('/webhook/', '/webhook-test/')
+    : webhookUrl;
+  assertAllowedWebhook(instance, url);
+  const request = buildWebhookRequest(url, { ...requestOptions, payload });
+
+  if (runAsync) {
+    const job = startWebhookJob(instance, request, pollInterval, owner);
+    return {
+      success: true,
+      async: true,
+      job,
+      message: `Job ${job.id} started; follow it with get_job_status, or stop it with cancel_job`
+    };
+  }
+
+  const requestedAt = Date.now();
+  const { executionId, attachment, ...sent } = await sendWebhookRequest(instance, request).catch(error => {
+    recordLastExecution(instance, url, { success: false, status: error.data?.status ?? null, error: error.message });
+    throw error;
+  });
+
+  const result = {
+    success: true,
+    executionId: executionId || 'unknown',
+    ...sent,
+    message: 'Workflow executed successfully'
+  };
+
+  if (sent.response.encoding === 'binary') {
+    result.attachment = attachment;
+    if (!attachment) {
+      result.message = `Workflow executed successfully; its ${sent.response.size}-byte ${sent.response.contentType || 'binary'} response is too large to attach`;
+    }
+  }
+
+  const finish = () => {
+    recordLastExecution(instance, url, {
+      success: result.success,
+      status: result.status,
+      executionId: result.executionId === 'unknown' ? null : result.executionId,
+      ...(result.execution ? { executionStatus: result.execution.status } : {})
+    });
+    return result;
+  };
+
+  if (waitForCompletion) {
+    const executionId = result.executionId !== 'unknown'
+      ? result.executionId
+      : await resolveWebhookExecutionId(instance, url, requestedAt);
+
+    if (!executionId) {
+      result.message = 'Webhook responded, but the execution could not be located to wait for completion';
+      return finish();
+    }
+
+    const execution = await waitForExecution(instance, executionId, waitTimeout, pollInterval);
+    result.executionId = executionId;
+    result.execution = execution;
+    result.success = execution.status === 'success';
+    result.message = execution.timedOut
+      ? `Webhook responded, but the execution was still ${execution.status} after ${waitTimeout}ms`
+      : `Workflow execution finished with status: ${execution.status}`;
+  }
+
+  return finish();
+}
+
+// Send every payload of a dataset to one webhook, with bounded concurrency
+// and an optional rate limit, and aggregate how the calls went
+async function batchExecuteWebhook(instance, { webhookUrl, payloads, file, useTestUrl = false, method = 'POST', query, headers, bodyEncoding, timeout, concurrency = 5, ratePerSecond, outputFile } = {}) {
+  if (!webhookUrl) {
+    throw new McpError(ErrorCode.InvalidParams, 'webhookUrl is required');
+  }
+  if (Boolean(payloads) === Boolean(file)) {
+    throw new McpError(ErrorCode.InvalidParams, 'Give the payloads either inline as payloads or in a file, not both');
+  }
+  const items = payloads || readPayloadFile(file);
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new McpError(ErrorCode.InvalidParams, 'There are no payloads to send');
+  }
+  // Refuse an output file outside N8N_FILES_DIR before anything is sent
+  const resultsFile = outputFile && resultsFilePath(outputFile);
+
+  const url = useTestUrl && webhookUrl.includes('/webhook/')
+    ? webhookUrl.replace('/webhook/', '/webhook-test/')
+    : webhookUrl;
+  assertAllowedWebhook(instance, url);
+  // Each item is the request body, or the query parameters of a GET or HEAD request
+  const inQuery = ['GET', 'HEAD'].includes(String(method).toUpperCase());
+  const requestFor = (item) => buildWebhookRequest(url, {
+    method,
+    headers,
+    bodyEncoding,
+    timeout,
+    ...(inQuery ? { query: { ...query, ...item } } : { query, payload: item })
+  });
+  // Reject bad options before sending anything
+  requestFor(items[0]);
+
+  const run = await runBatch(
+    items,
+    item => sendWebhookRequest(instance, requestFor(item), { quiet: true }),
+    { concurrency, ratePerSecond }
+  );
+  const statusOf = (result) => (result.ok ? result.value.status : result.error.data?.status);
+  const summary = summarizeBatch(run, statusOf);
+
+  const written = resultsFile && writeResultsFile(resultsFile, run.results.map(result => ({
+    index: result.index,
+    ok: result.ok,
+    status: statusOf(result) ?? null,
+    latencyMs: result.latencyMs,
+    ...(result.ok ? { response: result.value.response, data: result.value.data } : { error: result.error.message })
+  })));
+
+  // One registry record for the whole batch, not one per item
+  const last = run.results[run.results.length - 1];
+  recordLastExecution(instance, url, {
+    success: summary.failed === 0,
+    status: statusOf(last) ?? null,
+    batch: { total: summary.total, succeeded: summary.succeeded, failed: summary.failed }
+  });
+
+  return {
+    success: summary.failed === 0,
+    webhookUrl: url,
+    ...summary,
+    ...(written ? { outputFile: written } : {}),
+    message: `${summary.succeeded} of ${summary.total} requests succeeded in ${summary.durationMs}ms`
+  };
+}
+
+// Run a webhook call as a background job: send the request, look for the n8n
+// execution it started while the call is still in flight (so the job can be
+// cancelled), then follow the execution until it finishes
+function startWebhookJob(instance, request, pollInterval, owner) {
+  return jobs.start(
+    { instance: instance.name, webhookUrl: request.url, method: request.method.toUpperCase(), executionId: null },
+    async ({ job, signal, update, finish, attach }) => {
+      const requestedAt = Date.now();
+      let responded = false;
+
+      const locating = (async () => {
+        while (!job.executionId && !responded && !signal.aborted) {
+          await sleep(pollInterval);
+          const executionId = await resolveWebhookExecutionId(instance, request.url, requestedAt).catch(() => null);
+          if (executionId && !job.executionId) {
+            update({ executionId, status: 'running' });
+          }
+        }
+      })();
+
+      let callError = null;
+      try {
+        const { executionId, attachment, ...sent } = await sendWebhookRequest(instance, request, { signal });
+        if (attachment) {
+          attach(attachment);
+        }
+        update({
+          response: { status: sent.status, ...sent.response, data: sent.data },
+          executionId: job.executionId || executionId
+        });
+      } catch (error) {
+        callError = error;
+      } finally {
+        responded = true;
+      }
+      await locating;
+      if (signal.aborted) {
+        return;
+      }
+
+      if (!job.executionId) {
+        update({ executionId: await resolveWebhookExecutionId(instance, request.url, requestedAt).catch(() => null) });
+      }
+      if (!job.executionId) {
+        return callError
+          ? finish('failed', { error: callError.message })
+          : finish('responded', { message: 'Webhook responded, but the execution could not be located to follow it' });
+      }
+
+      // A call that timed out doesn't stop n8n, so the execution is followed anyway
+      update({ status: 'running', ...(callError ? { error: callError.message } : {}) });
+
+      while (!signal.aborted) {
+        const execution = await getExecution(instance, job.executionId);
+        if (!PENDING_EXECUTION_STATUSES.includes(execution.status)) {
+          return finish(['success', 'canceled'].includes(execution.status) ? execution.status : 'error', {
+            execution,
+            message: `Workflow execution finished with status: ${execution.status}`
+          });
+        }
+        update({ execution });
+        await sleep(pollInterval);
+      }
+    },
+    {
+      owner,
+      onFinish: job => recordLastExecution(instance, request.url, {
+        success: ['success', 'responded'].includes(job.status),
+        status: job.response?.status ?? null,
+        executionId: job.executionId ?? null,
+        ...(job.execution ? { executionStatus: job.execution.status } : {}),
+        ...(job.error ? { error: job.error } : {}),
+        job: { id: job.id, status: job.status }
+      })
+    }
+  );
+}
+
+// Stop a running execution
+async function stopExecution(instance, id) {
+  try {
+    return await instance.api.post(`/executions/${id}/stop`, {}, { idempotent: true });
+  } catch (error) {
+    throw toMcpError(error, `Failed to stop execution ${id}`, { instance: instance.name });
+  }
+}
+
+// Cancel a job, stopping its n8n execution when it has one
+async function cancelJob(id, owner) {
+  return jobs.cancel(id, job => stopExecution(resolveInstance(instances, job.instance), job.executionId), { owner });
+}
+
+// Jobs without their response data, for list_jobs
+function summarizeJob(job) {
+  const { response, execution, ...summary } = job;
+  return { ...summary, responseStatus: response?.status, executionStatus: execution?.status };
+}
+
+// Tools that aren't tied to one n8n instance
+const INSTANCE_FREE_TOOLS = ['list_instances', 'get_job_status', 'list_jobs', 'cancel_job'];
+
+// Let every other tool choose which n8n instance it runs against
+function withInstanceArgument(tools) {
+  return tools.map(tool => INSTANCE_FREE_TOOLS.includes(tool.name) ? tool : {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: {
+        ...tool.inputSchema.properties,
+        instance: {
+          type: 'string',
+          description: `n8n instance profile to use (default: ${instances.defaultName}); see list_instances`
+        }
+      }
+    }
+  });
+}
+
+// Report configured instances and check each one answers with its API key
+async function listInstances() {
+  const profiles = await Promise.all([...instances.profiles.values()].map(async (profile) => {
+    const summary = {
+      name: profile.name,
+      default: profile.name === instances.defaultName,
+      baseUrl: profile.baseUrl,
+      webhookUrl: profile.urls.webhook,
+      webhookTestUrl: profile.urls.webhookTest,
+      hasApiKey: Boolean(profile.apiKey),
+      policy: policy.rulesFor(profile.name)
+    };
+
+    if (!profile.apiKey) {
+      return { ...summary, reachable: false, error: 'No API key configured' };
+    }
+
+    // Probe once with a short timeout rather than going through the retrying client
+    try {
+      await axios.get(`${profile.apiUrl}/workflows`, {
+        headers: { 'X-N8N-API-KEY': profile.apiKey },
+        params: { limit: 1 },
+        timeout: 5000
+      });
+      return { ...summary, reachable: true };
+    } catch (error) {
+      return {
+        ...summary,
+        reachable: false,
+        status: error.response?.status,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }));
+
+  return { defaultInstance: instances.defaultName, instances: profiles };
+}
+
+// Read what an n8n:// resource URI points at
+async function readResource(uri) {
+  const { kind, id, instance: instanceName } = parseResourceUri(uri);
+  const instance = resolveInstance(instances, instanceName);
+
+  let data;
+  switch (kind) {
+    case 'workflows':
+      data = await listWorkflows(instance, { fetchAll: true });
+      break;
+    case 'workflow':
+      try {
+        data = await instance.api.get(`/workflows/${id}`);
+      } catch (error) {
+        throw toMcpError(error, 'Failed to read workflow', { instance: instance.name });
+      }
+      break;
+    case 'executions':
+      data = await listExecutions(instance, { workflowId: id });
+      break;
+  }
+
+  return {
+    contents: [
+      {
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify(data, null, 2)
+      }
+    ]
+  };
+}
+
+// A value that changes whenever the resource does, used to detect outside changes
+async function resourceFingerprint(uri) {
+  const { kind, id, instance: instanceName } = parseResourceUri(uri);
+  const instance = resolveInstance(instances, instanceName);
+
+  switch (kind) {
+    case 'workflows':
+      return (await listAllWorkflows(instance))
+        .map(workflow => `${workflow.id}:${workflow.updatedAt}:${workflow.active}`)
+        .join(',');
+    case 'workflow': {
+      const workflow = await instance.api.get(`/workflows/${id}`);
+      return `${workflow.updatedAt}:${workflow.active}:${workflow.versionId}`;
+    }
+    case 'executions': {
+      const page = await instance.api.get('/executions', { params: { workflowId: id, limit: 1 } });
+      const latest = page.data?.[0];
+      return latest ? `${latest.id}:${latest.status}:${latest.stoppedAt}` : '';
+    }
+  }
+}
+
+// List resources: the workflow list, then one resource per workflow on the
+// default instance, paged with n8n's cursors
+async function listResources(request) {
+  const instance = resolveInstance(instances);
+  const cursor = request.params?.cursor;
+
+  try {
+    const page = await instance.api.get('/workflows', { params: { cursor } });
+    const resources = (page.data || []).map(workflow => ({
+      uri: workflowUri(instances, instance, workflow.id),
+      name: workflow.name,
+      description: `${workflow.active ? 'Active' : 'Inactive'} workflow ${workflow.id}`,
+      mimeType: 'application/json'
+    }));
+
+    if (!cursor) {
+      resources.unshift({
+        uri: WORKFLOWS_URI,
+        name: 'n8n workflows',
+        description: 'Summaries of all workflows: id, name, active, tags, trigger type and webhook URLs',
+        mimeType: 'application/json'
+      });
+    }
+
+    return { resources, ...(page.nextCursor ? { nextCursor: page.nextCursor } : {}) };
+  } catch (error) {
+    throw toMcpError(error, 'Failed to list resources', { instance: instance.name });
+  }
+}
+
+// Tool definitions, shared by tools/list and the prompts that quote their input schemas
+const TOOLS = withInstanceArgument([
+  {
+    name: 'create_workflow',
+    description: 'Create a new n8n workflow with an automatic trigger and auto-activate it for immediate execution. Workflows get a webhook trigger by default; schedule, form, chat and manual triggers are available through the trigger option. The response reports how the workflow can be invoked.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Name of the workflow'
+        },
+        description: {
+          type: 'string',
+          description: 'Optional description of the workflow'
+        },
+        nodes: {
+          type: 'array',
+          description: 'Additional nodes to include in the workflow (beyond webhook trigger). If none of them is a respondToWebhook node, a default "Respond to Webhook" node is added.',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', description: 'Optional node ID; generated when omitted' },
+              name: { type: 'string' },
+              type: { type: 'string', description: 'Node type, e.g. n8n-nodes-base.set; search_node_types lists the known types' },
+              typeVersion: { type: 'number', description: 'Optional; defaults to the newest version in the node catalog' },
+              position: { type: 'array', items: { type: 'number' }, description: 'Optional [x, y] canvas position; laid out automatically when omitted' },
+              parameters: { type: 'object' },
+              credential: { type: 'string', description: 'Name or ID of an existing credential; its type selects the credential slot' },
+              credentials: { type: 'object', description: 'Credentials by credential type, e.g. { "slackApi": "Team Slack" }; values are credential names, IDs or { id, name }' }
+            },
+            required: ['name', 'type']
+          }
+        },
+        connections: {
+          type: 'array',
+          description: 'Connections between nodes, referenced by name or ID (the trigger, e.g. "Webhook Trigger", and "Respond to Webhook" included). sourceOutput selects the output branch, e.g. 0 = true and 1 = false on an IF node. Nodes without incoming connections are fed by the webhook trigger, and nodes without outgoing connections are wired to the respond node.',
+          items: {
+            type: 'object',
+            properties: {
+              source: { type: 'string' },
+              sourceOutput: { type: 'number' },
+              target: { type: 'string' },
+              targetInput: { type: 'number' }
+            },
+            required: ['source', 'target']
+          }
+        },
+        trigger: {
+          type: 'object',
+          description: 'How the workflow is started. Defaults to a POST webhook answering through a "Respond to Webhook" node.',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['webhook', 'schedule', 'form', 'chat', 'manual'],
+              default: 'webhook'
+            },
+            path: {
+              type: 'string',
+              description: 'Custom URL path for webhook and form triggers; auto-generated when omitted'
+            },
+            httpMethod: {
+              type: 'string',
+              enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'],
+              description: 'Webhook HTTP method',
+              default: 'POST'
+            },
+            responseMode: {
+              type: 'string',
+              enum: ['onReceived', 'lastNode', 'responseNode'],
+              description: 'When and how the webhook (or form: onReceived/lastNode) responds. Only responseNode adds a "Respond to Webhook" node.',
+              default: 'responseNode'
+            },
+            authentication: {
+              type: 'object',
+              description: 'Webhook authentication using an existing n8n credential, given by credentialId or credentialName',
+              properties: {
+                type: { type: 'string', enum: ['none', 'header', 'basic'] },
+                credentialId: { type: 'string' },
+                credentialName: { type: 'string' }
+              },
+              required: ['type']
+            },
+            cron: {
+              type: 'string',
+              description: 'Schedule trigger cron expression, e.g. "0 9 * * 1-5"'
+            },
+            interval: {
+              type: 'object',
+              description: 'Schedule trigger interval, used when cron is not given',
+              properties: {
+                every: { type: 'number' },
+                unit: { type: 'string', enum: ['seconds', 'minutes', 'hours', 'days'] }
+              },
+              required: ['every', 'unit']
+            },
+            formTitle: { type: 'string', description: 'Form trigger title' },
+            formDescription: { type: 'string', description: 'Form trigger description' },
+            formFields: {
+              type: 'array',
+              description: 'Form trigger fields',
+              items: {
+                type: 'object',
+                properties: {
+                  label: { type: 'string' },
+                  type: { type: 'string', description: 'text, number, email, password, textarea, date or dropdown' },
+                  required: { type: 'boolean' }
+                },
+                required: ['label']
+              }
+            },
+            public: {
+              type: 'boolean',
+              description: 'Chat trigger: serve a public hosted chat page',
+              default: true
+            }
+          }
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Tag names or IDs to attach; missing tags are created. The instance default tag (mcp-generated unless configured otherwise) is always added.'
+        }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'list_templates',
+    description: 'List the workflow templates create_workflow_from_template can build, with a JSON Schema of the parameters each one takes. Includes templates from the local template directory.',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'create_workflow_from_template',
+    description: 'Create a workflow from a named template, filling in its parameters. The result is the same as create_workflow: the workflow is created, tagged and activated, and its URLs are returned.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        template: {
+          type: 'string',
+          description: 'Template ID from list_templates, e.g. webhook-http-respond'
+        },
+        name: {
+          type: 'string',
+          description: 'Workflow name; defaults to the template name'
+        },
+        description: {
+          type: 'string',
+          description: 'Optional description of the workflow'
+        },
+        parameters: {
+          type: 'object',
+          description: 'Template parameters, as described by the template\'s JSON Schema'
+        },
+        trigger: {
+          type: 'object',
+          description: 'Trigger options overriding the template\'s, e.g. { "path": "orders", "httpMethod": "GET" }'
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Tag names or IDs to attach, in addition to the default tag'
+        }
+      },
+      required: ['template']
+    }
+  },
+  {
+    name: 'validate_workflow',
+    description: 'Check a workflow locally before sending it to n8n: duplicate node names, connections to non-existent nodes, unreachable nodes, cycles, responseNode webhooks without a reachable respond node, and missing type/typeVersion. Nodes passed as for create_workflow are also checked against the node catalog, with typeVersion defaulting the same way. Pass the same nodes/connections as create_workflow, a raw n8n definition (connections as an object), or the ID of an existing workflow. create_workflow and update_workflow run these checks automatically.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'ID of an existing workflow to validate'
+        },
+        nodes: {
+          type: 'array',
+          description: 'Nodes as passed to create_workflow, or the full node list of a raw n8n definition',
+          items: { type: 'object' }
+        },
+        connections: {
+          type: ['array', 'object'],
+          description: 'Connections as passed to create_workflow (array), or an n8n connections map (object)'
+        },
+        trigger: {
+          type: 'object',
+          description: 'Trigger option as passed to create_workflow'
+        }
+      }
+    }
+  },
+  {
+    name: 'update_workflow',
+    description: 'Edit an existing workflow in place: add, remove, rename and re-parameterize nodes and connections. The webhook trigger and its path are preserved, so existing webhook URLs keep working, and active workflows are re-activated.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Workflow ID'
+        },
+        name: {
+          type: 'string',
+          description: 'Optional new name for the workflow'
+        },
+        addNodes: {
+          type: 'array',
+          description: 'Nodes to add to the workflow',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              type: { type: 'string', description: 'Node type, e.g. n8n-nodes-base.set; search_node_types lists the known types' },
+              typeVersion: { type: 'number', description: 'Optional; defaults to the newest version in the node catalog' },
+              position: { type: 'array', items: { type: 'number' }, description: 'Optional [x, y] canvas position; laid out automatically when omitted' },
+              parameters: { type: 'object' },
+              credential: { type: 'string', description: 'Name or ID of an existing credential' },
+              credentials: { type: 'object', description: 'Credentials by credential type; values are credential names, IDs or { id, name }' }
+            },
+            required: ['name', 'type']
+          }
+        },
+        removeNodes: {
+          type: 'array',
+          description: 'Names or IDs of nodes to remove, along with their connections',
+          items: { type: 'string' }
+        },
+        renameNodes: {
+          type: 'array',
+          description: 'Nodes to rename; connections are updated to match',
+          items: {
+            type: 'object',
+            properties: {
+              from: { type: 'string' },
+              to: { type: 'string' }
+            },
+            required: ['from', 'to']
+          }
+        },
+        updateNodes: {
+          type: 'array',
+          description: 'Parameter and error-handling changes for existing nodes. Parameters are merged unless replaceParameters is true.',
+          items: {
+            type: 'object',
+            properties: {
+              node: { type: 'string', description: 'Node name or ID' },
+              parameters: { type: 'object' },
+              replaceParameters: { type: 'boolean' },
+              typeVersion: { type: 'number' },
+              onError: {
+                type: 'string',
+                enum: ['stopWorkflow', 'continueRegularOutput', 'continueErrorOutput'],
+                description: 'What happens when the node fails. continueErrorOutput adds an error output after the node\'s regular outputs (sourceOutput 1 on a node with one output) to connect an error path to'
+              },
+              continueOnFail: { type: 'boolean', description: 'Older form of onError: continueRegularOutput' },
+              retryOnFail: { type: 'boolean', description: 'Retry the node when it fails' },
+              maxTries: { type: 'number', description: 'Attempts when retryOnFail is set' },
+              waitBetweenTries: { type: 'number', description: 'Milliseconds between attempts when retryOnFail is set' }
+            },
+            required: ['node']
+          }
+        },
+        addConnections: {
+          type: 'array',
+          description: 'Connections to add, referencing nodes by name or ID',
+          items: {
+            type: 'object',
+            properties: {
+              source: { type: 'string' },
+              sourceOutput: { type: 'number' },
+              target: { type: 'string' },
+              targetInput: { type: 'number' }
+            },
+            required: ['source', 'target']
+          }
+        },
+        removeConnections: {
+          type: 'array',
+          description: 'Connections to remove, referencing nodes by name or ID. Omit sourceOutput/targetInput to match any.',
+          items: {
+            type: 'object',
+            properties: {
+              source: { type: 'string' },
+              sourceOutput: { type: 'number' },
+              target: { type: 'string' },
+              targetInput: { type: 'number' }
+            },
+            required: ['source', 'target']
+          }
+        }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'delete_workflow',
+    description: 'Delete a workflow by ID. Active workflows are deactivated first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Workflow ID'
+        }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'cleanup_workflows',
+    description: 'Bulk-delete workflows matching all given criteria. Defaults to a dry run listing what would be removed; set dryRun to false to delete.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        createdByServer: {
+          type: 'boolean',
+          description: 'Only select workflows created by this MCP server',
+          default: true
+        },
+        namePattern: {
+          type: 'string',
+          description: 'Regular expression the workflow name must match, e.g. "^test-"'
+        },
+        olderThanDays: {
+          type: 'number',
+          description: 'Only select workflows created more than this many days ago'
+        },
+        inactiveOnly: {
+          type: 'boolean',
+          description: 'Only select inactive workflows',
+          default: false
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'List matching workflows without deleting them',
+          default: true
+        }
+      }
+    }
+  },
+  {
+    name: 'execute_workflow_webhook',
+    description: 'Execute an n8n workflow via its webhook URL. Works with both production and test webhook URLs, any HTTP method, and JSON, form, multipart or text bodies with file uploads. JSON and text responses are returned as data; binary responses are attached as a resource.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        webhookUrl: {
+          type: 'string',
+          description: 'The webhook URL to execute (production or test)'
+        },
+        method: {
+          type: 'string',
+          enum: WEBHOOK_METHODS,
+          description: 'HTTP method the webhook listens on',
+          default: 'POST'
+        },
+        query: {
+          type: 'object',
+          description: 'Query parameters; array values are sent as repeated parameters'
+        },
+        headers: {
+          type: 'object',
+          description: 'Extra request headers, e.g. the header a header-auth webhook checks'
+        },
+        payload: {
+          type: ['object', 'string'],
+          description: 'Request body: an object of fields, or a string for bodyEncoding text. GET and HEAD requests have no body.'
+        },
+        bodyEncoding: {
+          type: 'string',
+          enum: BODY_ENCODINGS,
+          description: 'How the payload is sent: json, form (application/x-www-form-urlencoded), multipart (multipart/form-data) or text. Defaults to json, or multipart when files are given.'
+        },
+        files: {
+          type: 'array',
+          description: 'Local files to upload as multipart/form-data parts',
+          items: {
+            type: 'object',
+            properties: {
+              path: { type: 'string', description: 'Path of the file to send, relative to N8N_FILES_DIR (default ./files); paths outside it are refused' },
+              field: { type: 'string', description: 'Form field name (default: file)' },
+              fileName: { type: 'string', description: 'File name to send; defaults to the file\'s own name' },
+              contentType: { type: 'string', description: 'Content type; guessed from the file extension when omitted' }
+            },
+            required: ['path']
+          }
+        },
+        timeout: {
+          type: 'number',
+          description: 'Request timeout in milliseconds',
+          default: 30000
+        },
+        useTestUrl: {
+          type: 'boolean',
+          description: 'Force use of test URL even if production URL is provided',
+          default: false
+        },
+        waitForCompletion: {
+          type: 'boolean',
+          description: 'Poll the resulting execution until it finishes and return its final status',
+          default: false
+        },
+        waitTimeout: {
+          type: 'number',
+          description: 'Maximum time in milliseconds to wait for completion',
+          default: 60000
+        },
+        pollInterval: {
+          type: 'number',
+          description: 'Time in milliseconds between execution status checks',
+          default: 1000
+        },
+        async: {
+          type: 'boolean',
+          description: 'Return a job handle right away and run the call in the background; follow it with get_job_status and stop it with cancel_job',
+          default: false
+        }
+      },
+      required: ['webhookUrl']
+    }
+  },
+  {
+    name: 'batch_execute_webhook',
+    description: 'Send many payloads to one webhook, from an array or a local JSON/JSONL/CSV file, with bounded concurrency and an optional rate limit. Returns success and failure counts, p50/p95/p99 latency, a status code histogram and the failed items; the full per-item responses can be written to a file.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        webhookUrl: {
+          type: 'string',
+          description: 'The webhook URL to call (production or test)'
+        },
+        payloads: {
+          type: 'array',
+          description: 'Request bodies, one per call. For GET and HEAD webhooks each item holds query parameters instead.'
+        },
+        file: {
+          type: 'string',
+          description: 'File in N8N_FILES_DIR (default ./files) with the payloads instead: .json (an array), .jsonl/.ndjson (one JSON value per line) or .csv (header row; one object per row, values as strings)'
+        },
+        concurrency: {
+          type: 'number',
+          description: `Requests in flight at once (1-${MAX_CONCURRENCY})`,
+          default: 5
+        },
+        ratePerSecond: {
+          type: 'number',
+          description: 'Start at most this many requests per second; unlimited when omitted'
+        },
+        outputFile: {
+          type: 'string',
+          description: 'Write every item\'s status, latency and response (or error) to this JSONL file in N8N_FILES_DIR'
+        },
+        method: {
+          type: 'string',
+          enum: WEBHOOK_METHODS,
+          description: 'HTTP method the webhook listens on',
+          default: 'POST'
+        },
+        query: {
+          type: 'object',
+          description: 'Query parameters sent with every request'
+        },
+        headers: {
+          type: 'object',
+          description: 'Extra headers sent with every request'
+        },
+        bodyEncoding: {
+          type: 'string',
+          enum: BODY_ENCODINGS,
+          description: 'How each payload is sent (default json)'
+        },
+        timeout: {
+          type: 'number',
+          description: 'Timeout of each request in milliseconds',
+          default: 30000
+        },
+        useTestUrl: {
+          type: 'boolean',
+          description: 'Call the test URL instead of the production URL',
+          default: false
+        }
+      },
+      required: ['webhookUrl']
+    }
+  },
+  {
+    name: 'get_job_status',
+    description: 'Get the progress of a job started with execute_workflow_webhook async: pending while the webhook call is in flight, running once its n8n execution is known, and the final status with the webhook response and execution summary when done',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: {
+          type: 'string',
+          description: 'Job ID returned by execute_workflow_webhook'
+        }
+      },
+      required: ['jobId']
+    }
+  },
+  {
+    name: 'list_jobs',
+    description: 'List the jobs this server is tracking, newest first, without their response data',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'string',
+          enum: ['active', 'pending', 'running', ...FINAL_JOB_STATUSES],
+          description: 'Only jobs with this status; active means pending or running'
+        }
+      }
+    }
+  },
+  {
+    name: 'cancel_job',
+    description: 'Cancel a job: stop its n8n execution and abort the webhook call if it is still in flight',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: {
+          type: 'string',
+          description: 'Job ID returned by execute_workflow_webhook'
+        }
+      },
+      required: ['jobId']
+    }
+  },
+  {
+    name: 'list_executions',
+    description: 'List workflow executions, optionally filtered by workflow, status and start time. Use nextCursor to fetch the next page.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workflowId: {
+          type: 'string',
+          description: 'Only return executions of this workflow'
+        },
+        status: {
+          type: 'string',
+          enum: ['success', 'error', 'waiting'],
+          description: 'Only return executions with this status'
+        },
+        startedAfter: {
+          type: 'string',
+          description: 'ISO timestamp; only return executions started at or after this time'
+        },
+        startedBefore: {
+          type: 'string',
+          description: 'ISO timestamp; only return executions started at or before this time'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of executions per page (max 250)',
+          default: 20
+        },
+        cursor: {
+          type: 'string',
+          description: 'Cursor returned as nextCursor by a previous call'
+        }
+      }
+    }
+  },
+  {
+    name: 'get_execution',
+    description: 'Get an execution by ID with its status and a per-node summary',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Execution ID'
+        },
+        includeData: {
+          type: 'boolean',
+          description: 'Include the full node-by-node run data',
+          default: false
+        }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'list_workflows',
+    description: 'List workflows from n8n as compact summaries (id, name, active, tags, updatedAt, trigger type and webhook URLs). Returns one page at a time; pass nextCursor back as cursor, or set fetchAll. Set full for the complete workflow JSON.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: {
+          type: 'number',
+          description: 'Page size (max 250)',
+          default: 50
+        },
+        cursor: {
+          type: 'string',
+          description: 'Cursor returned as nextCursor by a previous call'
+        },
+        active: {
+          type: 'boolean',
+          description: 'Only active (true) or inactive (false) workflows'
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only workflows with these tag names'
+        },
+        nameContains: {
+          type: 'string',
+          description: 'Case-insensitive substring the workflow name must contain'
+        },
+        nameRegex: {
+          type: 'string',
+          description: 'Case-insensitive regular expression the workflow name must match'
+        },
+        fetchAll: {
+          type: 'boolean',
+          description: 'Follow cursors and return every matching workflow',
+          default: false
+        },
+        full: {
+          type: 'boolean',
+          description: 'Return the full workflow JSON instead of summaries',
+          default: false
+        }
+      }
+    }
+  },
+  {
+    name: 'get_workflow',
+    description: 'Get a workflow by ID',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Workflow ID'
+        }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'activate_workflow',
+    description: 'Activate a workflow by ID',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Workflow ID'
+        }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'deactivate_workflow',
+    description: 'Deactivate a workflow by ID',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Workflow ID'
+        }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'export_workflow',
+    description: 'Export a workflow to a normalized, git-friendly JSON file: sorted keys, nodes ordered by name, no IDs, timestamps or version IDs, and credentials as name references',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Workflow ID'
+        },
+        directory: {
+          type: 'string',
+          description: 'Subdirectory of N8N_EXPORT_DIR (default: workflows next to server.js) to write to; paths outside it are refused'
+        },
+        fileName: {
+          type: 'string',
+          description: 'File name; defaults to the workflow name as a slug, e.g. my-workflow.json'
+        }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'import_workflow',
+    description: 'Create a workflow from a file written by export_workflow or a plain n8n export, or update an existing workflow from it. Credentials are resolved by name, and webhook paths already used by other workflows are regenerated.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file: {
+          type: 'string',
+          description: 'Path of the workflow JSON file, relative to N8N_EXPORT_DIR (default: workflows next to server.js); paths outside it are refused'
+        },
+        id: {
+          type: 'string',
+          description: 'Update this workflow instead of creating a new one'
+        },
+        matchByName: {
+          type: 'boolean',
+          description: 'Update the workflow with the same name, if there is one',
+          default: false
+        },
+        activate: {
+          type: 'boolean',
+          description: 'Activate the workflow after importing. Updated workflows that were active are always re-activated.',
+          default: false
+        }
+      },
+      required: ['file']
+    }
+  },
+  {
+    name: 'snapshot_workflow',
+    description: 'Save a snapshot of a workflow\'s current definition. Snapshots are also saved automatically whenever this server creates, activates, deactivates or changes a workflow.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Workflow ID'
+        },
+        note: {
+          type: 'string',
+          description: 'Why the snapshot was taken, kept with it'
+        }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'list_snapshots',
+    description: 'List the snapshots kept for a workflow, newest first, with what prompted each one',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Workflow ID'
+        }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'diff_workflow',
+    description: 'Show what differs between two versions of a workflow: nodes added, removed or changed (down to the parameter), connections added or removed, and settings, name, tag and activation changes. Each version is a snapshot ID or "live".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Workflow ID'
+        },
+        from: {
+          type: 'string',
+          description: 'Snapshot ID or "live" to compare from. Defaults to the latest snapshot.'
+        },
+        to: {
+          type: 'string',
+          description: 'Snapshot ID or "live" to compare to',
+          default: 'live'
+        }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'rollback_workflow',
+    description: 'Restore a workflow to a snapshot: its nodes, connections, settings and name. Webhook triggers keep their current paths so URLs don\'t change, active workflows are re-activated, and the live version is snapshotted first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Workflow ID'
+        },
+        snapshot: {
+          type: 'string',
+          description: 'ID of the snapshot to restore, from list_snapshots'
+        }
+      },
+      required: ['id', 'snapshot']
+    }
+  },
+  {
+    name: 'search_node_types',
+    description: 'Search the node catalog for node types to use in create_workflow, by words from their name, type or description (e.g. "slack", "http request", "merge") and/or by group (trigger, transform, input, output, organization). Returns the exact type string and default typeVersion of each match.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Words the node type must match; all of them have to appear'
+        },
+        group: {
+          type: 'string',
+          description: 'Only node types in this group, e.g. trigger'
+        },
+        limit: {
+          type: 'number',
+          description: 'Most node types to return',
+          default: 20
+        }
+      }
+    }
+  },
+  {
+    name: 'describe_node_type',
+    description: 'Describe a node type from the node catalog: its versions, default typeVersion, inputs and outputs, credential types and parameter schema (with options, defaults and the conditions under which each parameter applies), plus an example node to start from',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        type: {
+          type: 'string',
+          description: 'Node type, e.g. n8n-nodes-base.httpRequest'
+        }
+      },
+      required: ['type']
+    }
+  },
+  {
+    name: 'refresh_node_catalog',
+    description: 'Load the node types installed on the instance, community nodes included, into its node catalog. Without a refresh the catalog holds a bundled snapshot of common n8n nodes; create_workflow refreshes it by itself when it meets a type the snapshot lacks.',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'lookup_workflow',
+    description: 'Look up a workflow this server created in the local registry by ID or name, with its trigger type, webhook path, URLs and last execution result. Without id or name, lists every registered workflow.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Workflow ID'
+        },
+        name: {
+          type: 'string',
+          description: 'Exact workflow name, ignoring case'
+        }
+      }
+    }
+  },
+  {
+    name: 'find_webhook',
+    description: 'Find the webhook URLs of workflows this server created by a loose description of their name, e.g. "order intake". Typos and partial words are matched; results are ranked by score.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Words from the workflow name, webhook path or description'
+        },
+        limit: {
+          type: 'number',
+          description: 'Most matches to return',
+          default: 5
+        }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'sync_registry',
+    description: 'Reconcile the local workflow registry with n8n: drop workflows deleted there, pick up renames and trigger path changes, and register server-created workflows the registry is missing',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dryRun: {
+          type: 'boolean',
+          description: 'Only report what would change',
+          default: false
+        }
+      }
+    }
+  },
+  {
+    name: 'list_credentials',
+    description: 'List the credentials on the n8n instance by ID, name and type. Secret values are never returned.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        type: {
+          type: 'string',
+          description: 'Only credentials of this type, e.g. slackApi or httpHeaderAuth'
+        },
+        nameContains: {
+          type: 'string',
+          description: 'Case-insensitive substring the credential name must contain'
+        }
+      }
+    }
+  },
+  {
+    name: 'get_credential_schema',
+    description: 'Get the JSON Schema of the data a credential type needs, to know which fields create_credential expects',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        type: {
+          type: 'string',
+          description: 'Credential type name, e.g. slackApi, postgres or httpHeaderAuth'
+        }
+      },
+      required: ['type']
+    }
+  },
+  {
+    name: 'create_credential',
+    description: 'Create a credential. The response contains its ID, name and type but never the secret data.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Credential name, used to reference it from workflow nodes'
+        },
+        type: {
+          type: 'string',
+          description: 'Credential type name'
+        },
+        data: {
+          type: 'object',
+          description: 'Credential fields as described by get_credential_schema'
+        }
+      },
+      required: ['name', 'type', 'data']
+    }
+  },
+  {
+    name: 'list_tags',
+    description: 'List all tags on the n8n instance',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'create_tag',
+    description: 'Create a tag',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Tag name'
+        }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'delete_tag',
+    description: 'Delete a tag by ID or name. It is removed from every workflow that has it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tag: {
+          type: 'string',
+          description: 'Tag ID or name'
+        }
+      },
+      required: ['tag']
+    }
+  },
+  {
+    name: 'tag_workflow',
+    description: 'Attach tags to a workflow, keeping the tags it already has. Tags are referenced by name or ID; names that do not exist yet are created.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Workflow ID'
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Tag names or IDs'
+        }
+      },
+      required: ['id', 'tags']
+    }
+  },
+  {
+    name: 'untag_workflow',
+    description: 'Detach tags from a workflow. The tags themselves are not deleted.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Workflow ID'
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Tag names or IDs'
+        }
+      },
+      required: ['id', 'tags']
+    }
+  },
+  {
+    name: 'list_instances',
+    description: 'List the configured n8n instance profiles, which one is the default, and whether each one is reachable with its API key',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  }
+]);
+
+// The workflow and its most recent failed executions, with error details
+async function loadWorkflowFailures(instance, id) {
+  let workflow;
+  try {
+    workflow = await instance.api.get(`/workflows/${id}`);
+  } catch (error) {
+    throw toMcpError(error, 'Failed to get workflow', { instance: instance.name });
+  }
+
+  const { executions } = await listExecutions(instance, { workflowId: id, status: 'error', limit: 3 });
+  const failures = await Promise.all(executions.map(execution => getExecution(instance, execution.id)));
+
+  return { workflow, failures };
+}
+
+// Assemble a prompt from live instance data
+async function getPrompt(name, args = {}) {
+  assertPromptArguments(name, args);
+  const instance = resolveInstance(instances, args.instance);
+  const toolSchema = (toolName) => TOOLS.find(tool => tool.name === toolName);
+
+  switch (name) {
+    case 'build_webhook_api':
+      return buildWebhookApiPrompt({
+        goal: args.goal,
+        instance,
+        createWorkflowTool: toolSchema('create_workflow'),
+        templates: listTemplates().templates
+      });
+
+    case 'debug_workflow': {
+      const { workflow, failures } = await loadWorkflowFailures(instance, args.id);
+      return debugWorkflowPrompt({
+        workflow,
+        workflowUri: workflowUri(instances, instance, args.id),
+        executionsUri: workflowUri(instances, instance, args.id, '/executions'),
+        failures
+      });
+    }
+
+    case 'add_error_handling': {
+      const { workflow, failures } = await loadWorkflowFailures(instance, args.id);
+      return errorHandlingPrompt({
+        workflow,
+        workflowUri: workflowUri(instances, instance, args.id),
+        failures,
+        updateWorkflowTool: toolSchema('update_workflow')
+      });
+    }
+  }
+}
+
+// Handle tool calls from a client; `owner` scopes the jobs it can see
+async function handleToolCall(request, { owner }) {
+  // The policy sees every call first
+  const instanceName = INSTANCE_FREE_TOOLS.includes(request.params.name)
+    ? undefined
+    : request.params.arguments?.instance || instances.defaultName;
+  policy.assertTool(instanceName, request.params.name, request.params.arguments);
+
+  switch (request.params.name) {
+    case 'list_instances':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await listInstances(), null, 2)
+          }
+        ]
+      };
+
+    case 'get_job_status': {
+      const { job, attachment } = jobs.get(request.params.arguments?.jobId, { owner });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(job, null, 2)
+          },
+          ...(attachment ? [{ type: 'resource', resource: attachment }] : [])
+        ]
+      };
+    }
+
+    case 'list_jobs': {
+      const list = jobs.list({ status: request.params.arguments?.status, owner }).map(summarizeJob);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({ jobs: list, count: list.length }, null, 2)
+          }
+        ]
+      };
+    }
+
+    case 'cancel_job':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await cancelJob(request.params.arguments?.jobId, owner), null, 2)
+          }
+        ]
+      };
+  }
+
+  // Every other tool runs against the instance it names, or the default one
+  const instance = resolveInstance(instances, request.params.arguments?.instance);
+
+  switch (request.params.name) {
+    case 'create_workflow':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(
+              await createWorkflowWithWebhook(
+                instance,
+                request.params.arguments.name,
+                request.params.arguments.description,
+                request.params.arguments.nodes || [],
+                request.params.arguments.connections || [],
+                request.params.arguments.trigger || {},
+                request.params.arguments.tags || []
+              ), 
+              null, 
+              2
+            )
+          }
+        ]
+      };
+      
+    case 'list_templates':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(listTemplates(), null, 2)
+          }
+        ]
+      };
+
+    case 'create_workflow_from_template':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await createWorkflowFromTemplate(instance, request.params.arguments || {}), null, 2)
+          }
+        ]
+      };
+
+    case 'validate_workflow':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await validateWorkflowDefinition(instance, request.params.arguments || {}), null, 2)
+          }
+        ]
+      };
+
+    case 'update_workflow': {
+      const { id, ...edits } = request.params.arguments;
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await updateWorkflow(instance, id, edits), null, 2)
+          }
+        ]
+      };
+    }
+
+    case 'delete_workflow':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await deleteWorkflow(instance, request.params.arguments.id), null, 2)
+          }
+        ]
+      };
+
+    case 'cleanup_workflows':
+      return {
+        content: [
           {
             type: 'text',
-            text: JSON.stringify(
-              await createWorkflowWithWebhook(
-                request.params.arguments.name,
-                request.params.arguments.description,
-                request.params.arguments.nodes || [],
-                request.params.arguments.connections || []
-              ), 
-              null, 
-              2
-            )
+            text: JSON.stringify(await cleanupWorkflows(instance, request.params.arguments || {}), null, 2)
           }
         ]
       };
-      
-    case 'execute_workflow_webhook':
+
+    case 'execute_workflow_webhook': {
+      const args = request.params.arguments;
+      const { attachment, ...result } = await executeWorkflowWebhook(
+        instance,
+        args.webhookUrl,
+        args.payload,
+        args.useTestUrl || false,
+        {
+          method: args.method,
+          query: args.query,
+          headers: args.headers,
+          bodyEncoding: args.bodyEncoding,
+          files: args.files,
+          timeout: args.timeout,
+          async: args.async,
+          waitForCompletion: args.waitForCompletion,
+          waitTimeout: args.waitTimeout,
+          pollInterval: args.pollInterval,
+          owner
+        }
+      );
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2)
+          },
+          // Binary responses travel as a resource rather than inside the JSON
+          ...(attachment ? [{ type: 'resource', resource: attachment }] : [])
+        ]
+      };
+    }
+
+    case 'batch_execute_webhook':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await batchExecuteWebhook(instance, request.params.arguments || {}), null, 2)
+          }
+        ]
+      };
+
+    case 'list_executions':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await listExecutions(instance, request.params.arguments || {}), null, 2)
+          }
+        ]
+      };
+
+    case 'get_execution':
       return {
         content: [
           {
             type: 'text',
             text: JSON.stringify(
-              await executeWorkflowWebhook(
-                request.params.arguments.webhookUrl,
-                request.params.arguments.payload || {},
-                request.params.arguments.useTestUrl || false
-              ), 
-              null, 
+              await getExecution(instance, request.params.arguments.id, request.params.arguments.includeData || false),
+              null,
               2
             )
           }
@@ -408,102 +3151,358 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       };
       
     case 'list_workflows':
-      try {
-        const response = await axios.get(`${N8N_API_URL}/workflows`, {
-          headers: { 'X-N8N-API-KEY': N8N_API_KEY }
-        });
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(response.data, null, 2)
-            }
-          ]
-        };
-      } catch (error) {
-        throw new McpError(
-          ErrorCode.InternalError,
-          `Failed to list workflows: ${error.response?.data?.message || error.message}`
-        );
-      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await listWorkflows(instance, request.params.arguments || {}), null, 2)
+          }
+        ]
+      };
       
     case 'get_workflow':
       try {
-        const response = await axios.get(`${N8N_API_URL}/workflows/${request.params.arguments.id}`, {
-          headers: { 'X-N8N-API-KEY': N8N_API_KEY }
-        });
+        const workflow = await instance.api.get(`/workflows/${request.params.arguments.id}`);
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify(response.data, null, 2)
+              text: JSON.stringify(workflow, null, 2)
             }
           ]
         };
       } catch (error) {
-        throw new McpError(
-          ErrorCode.InternalError,
-          `Failed to get workflow: ${error.response?.data?.message || error.message}`
-        );
+        throw toMcpError(error, 'Failed to get workflow', { instance: instance.name });
       }
       
     case 'activate_workflow':
       try {
-        await axios.post(
-          `${N8N_API_URL}/workflows/${request.params.arguments.id}/activate`,
-          {},
-          { headers: { 'X-N8N-API-KEY': N8N_API_KEY } }
-        );
+        await instance.api.post(`/workflows/${request.params.arguments.id}/activate`, {}, { idempotent: true });
+        await workflowChanged(instance, request.params.arguments.id);
+        const snapshot = await recordSnapshot(instance, request.params.arguments.id, 'activate');
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({ success: true, message: 'Workflow activated successfully' }, null, 2)
+              text: JSON.stringify({ success: true, snapshot: snapshot?.id ?? null, message: 'Workflow activated successfully' }, null, 2)
             }
           ]
         };
       } catch (error) {
-        throw new McpError(
-          ErrorCode.InternalError,
-          `Failed to activate workflow: ${error.response?.data?.message || error.message}`
-        );
+        throw toMcpError(error, 'Failed to activate workflow', { instance: instance.name });
       }
       
     case 'deactivate_workflow':
       try {
-        await axios.post(
-          `${N8N_API_URL}/workflows/${request.params.arguments.id}/deactivate`,
-          {},
-          { headers: { 'X-N8N-API-KEY': N8N_API_KEY } }
-        );
+        await instance.api.post(`/workflows/${request.params.arguments.id}/deactivate`, {}, { idempotent: true });
+        await workflowChanged(instance, request.params.arguments.id);
+        const snapshot = await recordSnapshot(instance, request.params.arguments.id, 'deactivate');
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({ success: true, message: 'Workflow deactivated successfully' }, null, 2)
+              text: JSON.stringify({ success: true, snapshot: snapshot?.id ?? null, message: 'Workflow deactivated successfully' }, null, 2)
             }
           ]
         };
       } catch (error) {
-        throw new McpError(
-          ErrorCode.InternalError,
-          `Failed to deactivate workflow: ${error.response?.data?.message || error.message}`
-        );
+        throw toMcpError(error, 'Failed to deactivate workflow', { instance: instance.name });
       }
       
+    case 'export_workflow':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await exportWorkflow(instance, request.params.arguments || {}), null, 2)
+          }
+        ]
+      };
+
+    case 'import_workflow':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await importWorkflow(instance, request.params.arguments || {}), null, 2)
+          }
+        ]
+      };
+
+    case 'snapshot_workflow':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await snapshotWorkflow(instance, request.params.arguments || {}), null, 2)
+          }
+        ]
+      };
+
+    case 'list_snapshots':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(listSnapshots(instance, request.params.arguments || {}), null, 2)
+          }
+        ]
+      };
+
+    case 'diff_workflow':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await diffWorkflow(instance, request.params.arguments || {}), null, 2)
+          }
+        ]
+      };
+
+    case 'rollback_workflow':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await rollbackWorkflow(instance, request.params.arguments || {}), null, 2)
+          }
+        ]
+      };
+
+    case 'search_node_types':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(searchNodeTypes(instance, request.params.arguments || {}), null, 2)
+          }
+        ]
+      };
+
+    case 'describe_node_type':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(describeNodeType(instance, request.params.arguments || {}), null, 2)
+          }
+        ]
+      };
+
+    case 'refresh_node_catalog':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await refreshNodeCatalog(instance), null, 2)
+          }
+        ]
+      };
+
+    case 'lookup_workflow':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(lookupWorkflow(instance, request.params.arguments || {}), null, 2)
+          }
+        ]
+      };
+
+    case 'find_webhook':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(findWebhook(instance, request.params.arguments || {}), null, 2)
+          }
+        ]
+      };
+
+    case 'sync_registry':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await syncRegistry(instance, request.params.arguments || {}), null, 2)
+          }
+        ]
+      };
+
+    case 'list_credentials':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await listCredentials(instance, request.params.arguments || {}), null, 2)
+          }
+        ]
+      };
+
+    case 'get_credential_schema':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await getCredentialSchema(instance, request.params.arguments.type), null, 2)
+          }
+        ]
+      };
+
+    case 'create_credential':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await createCredential(instance, request.params.arguments), null, 2)
+          }
+        ]
+      };
+
+    case 'list_tags':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await listTags(instance), null, 2)
+          }
+        ]
+      };
+
+    case 'create_tag':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await createTag(instance, request.params.arguments.name), null, 2)
+          }
+        ]
+      };
+
+    case 'delete_tag':
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(await deleteTag(instance, request.params.arguments.tag), null, 2)
+          }
+        ]
+      };
+
+    case 'tag_workflow': {
+      const result = await tagWorkflow(instance, request.params.arguments.id, request.params.arguments.tags || []);
+      await workflowChanged(instance, request.params.arguments.id);
+      await recordSnapshot(instance, request.params.arguments.id, 'tags');
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2)
+          }
+        ]
+      };
+    }
+
+    case 'untag_workflow': {
+      const result = await untagWorkflow(instance, request.params.arguments.id, request.params.arguments.tags || []);
+      await workflowChanged(instance, request.params.arguments.id);
+      await recordSnapshot(instance, request.params.arguments.id, 'tags');
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2)
+          }
+        ]
+      };
+    }
+
     default:
       throw new McpError(
         ErrorCode.MethodNotFound,
         `Unknown tool: ${request.params.name}`
       );
   }
-});
+}
+
+// Create an MCP server with every handler registered, for one client connection.
+// Exported so the server can be embedded, or driven in-process by the tests.
+// `owner` identifies the client for async jobs: connections with the same
+// owner share their jobs. Without one, the jobs belong to this connection.
+export function createMcpServer({ owner = uuidv4() } = {}) {
+  const server = new Server(
+    {
+      name: 'n8n-mcp-execution-server',
+      version: '1.0.0',
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: {
+          subscribe: true,
+          listChanged: true,
+        },
+        prompts: {},
+      },
+    }
+  );
+
+  // Resource subscriptions, checked for outside changes while anything is subscribed
+  const resourceWatcher = createResourceWatcher({
+    fingerprint: resourceFingerprint,
+    notify: uri => server.sendResourceUpdated({ uri })
+  });
+
+  const session = { server, resourceWatcher };
+  sessions.add(session);
+  server.onclose = () => {
+    resourceWatcher.stop();
+    sessions.delete(session);
+  };
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: TOOLS }));
+  server.setRequestHandler(CallToolRequestSchema, request => handleToolCall(request, { owner }));
 
-// Start the server
+  server.setRequestHandler(ListResourcesRequestSchema, listResources);
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: RESOURCE_TEMPLATES }));
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => readResource(request.params.uri));
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    await resourceWatcher.subscribe(request.params.uri);
+    return {};
+  });
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    resourceWatcher.unsubscribe(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: PROMPTS }));
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => getPrompt(request.params.name, request.params.arguments));
+
+  return server;
+}
+
+// Start the server: stdio by default, or HTTP with --http / N8N_MCP_TRANSPORT=http
 async function main() {
+  if (![...instances.profiles.values()].some(profile => profile.apiKey)) {
+    throw new Error('No n8n instance configured: set N8N_API_KEY, N8N_INSTANCES or an n8n-instances.json config file');
+  }
+
+  if (process.argv.includes('--http') || process.env.N8N_MCP_TRANSPORT === 'http') {
+    const options = loadHttpOptions();
+    await startHttpServer(createMcpServer, options);
+    console.error(`N8N MCP Execution Server listening on http://${options.host}:${options.port}/sse`);
+    return;
+  }
+
   const transport = new StdioServerTransport();
-  await server.connect(transport);
+  await createMcpServer().connect(transport);
   console.error('N8N MCP Execution Server running on stdio');
 }
 
-main().catch(console.error);
\ No newline at end of file
+// Only start when run as a program, not when imported
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error(error.message || error);
+    process.exitCode = 1;
+  });
+}
\ No newline at end of file
@@ -0,0 +1,57 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { startMockN8n } from './mock-n8n.js';
+
+// Start a mock n8n, point the server at it and connect an MCP client in-process.
+// `env` adds settings, or builds them from the mock (e.g. for extra profiles).
+// server.js reads its configuration when it is first imported, so each test
+// file gets one server: node --test runs every file in its own process.
+export async function startTestServer({ env = {} } = {}) {
+  const mock = await startMockN8n();
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'n8n-mcp-test-'));
+
+  delete process.env.N8N_INSTANCES;
+  delete process.env.N8N_DEFAULT_INSTANCE;
+  delete process.env.N8N_DEFAULT_TAG;
+  Object.assign(process.env, {
+    N8N_BASE_URL: mock.baseUrl,
+    N8N_API_KEY: mock.apiKey,
+    N8N_MCP_CONFIG: path.join(workDir, 'no-such-config.json'),
+    N8N_MCP_POLICY: path.join(workDir, 'no-such-policy.json'),
+    N8N_TEMPLATES_DIR: path.join(workDir, 'templates'),
+    N8N_EXPORT_DIR: path.join(workDir, 'exports'),
+    N8N_FILES_DIR: path.join(workDir, 'files'),
+    N8N_SNAPSHOT_DIR: path.join(workDir, 'snapshots'),
+    N8N_REGISTRY_FILE: path.join(workDir, 'registry.json'),
+    // Fail fast; n8n-client.test.js covers retries
+    N8N_MAX_RETRIES: '0',
+    N8N_RESOURCE_POLL_INTERVAL: '0',
+    ...(typeof env === 'function' ? env(mock) : env)
+  });
+
+  const { createMcpServer } = await import('../server.js');
+  const client = new Client({ name: 'test-client', version: '1.0.0' }, { capabilities: {} });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([client.connect(clientTransport), createMcpServer().connect(serverTransport)]);
+
+  return {
+    client,
+    mock,
+    workDir,
+
+    // Call a tool and parse the JSON it answers with
+    async call(name, args = {}) {
+      const result = await client.callTool({ name, arguments: args });
+      return JSON.parse(result.content[0].text);
+    },
+
+    async close() {
+      await client.close();
+      await mock.close();
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  };
+}
@@ -4,7 +4,7 @@ import axios from 'axios';
 
 // Test configuration
 const TEST_CONFIG = {
-  N8N_BASE_URL: 'https://joelfuller.app.n8n.cloud',
+  N8N_BASE_URL: process.env.N8N_BASE_URL || 'https://joelfuller.app.n8n.cloud',
   N8N_API_KEY: process.env.N8N_API_KEY
 };
 
@@ -156,7 +156,7 @@ async function testWorkflowCreation() {
     console.log('✅ Webhook execution successful');
     console.log('📋 Webhook response:', JSON.stringify(webhookResponse.data, null, 2));
     
-    // Clean up - deactivate and optionally delete the test workflow
+    // Clean up - deactivate and delete the test workflow
     await axios.post(
       `${TEST_CONFIG.N8N_BASE_URL}/api/v1/workflows/${workflowId}/deactivate`,
       {},
@@ -168,7 +168,17 @@ async function testWorkflowCreation() {
     );
     
     console.log('✅ Test workflow deactivated');
-    console.log('💡 Test workflow left in n8n for manual inspection if needed');
+    
+    await axios.delete(
+      `${TEST_CONFIG.N8N_BASE_URL}/api/v1/workflows/${workflowId}`,
+      {
+        headers: {
+          'X-N8N-API-KEY': TEST_CONFIG.N8N_API_KEY
+        }
+      }
+    );
+    
+    console.log('✅ Test workflow deleted');
     
     return true;
     
@@ -0,0 +1,627 @@
+import crypto from 'crypto';
+import http from 'http';
+
+// In-process stand-in for an n8n instance: the public API under /api/v1, the
+// node descriptions under /types, and webhook routing under /webhook and
+// /webhook-test, backed by in-memory state.
+// Workflows "run" by walking their main connections from the webhook trigger;
+// a stopAndError node fails the run, and the first Respond to Webhook node
+// reached answers the call.
+
+const WEBHOOK_TYPE = 'n8n-nodes-base.webhook';
+const RESPOND_TYPE = 'n8n-nodes-base.respondToWebhook';
+const ERROR_TYPE = 'n8n-nodes-base.stopAndError';
+const MANUAL_TYPE = 'n8n-nodes-base.manualTrigger';
+const WAIT_TYPE = 'n8n-nodes-base.wait';
+
+// Fields PUT /workflows/{id} accepts; n8n rejects anything else
+const UPDATABLE_FIELDS = ['name', 'nodes', 'connections', 'settings', 'staticData'];
+
+const CREDENTIAL_SCHEMAS = {
+  httpHeaderAuth: {
+    type: 'object',
+    properties: { name: { type: 'string' }, value: { type: 'string' } },
+    required: ['name', 'value']
+  },
+  httpBasicAuth: {
+    type: 'object',
+    properties: { user: { type: 'string' }, password: { type: 'string' } },
+    required: ['user', 'password']
+  },
+  slackApi: {
+    type: 'object',
+    properties: { accessToken: { type: 'string' } },
+    required: ['accessToken']
+  }
+};
+
+const newId = () => crypto.randomBytes(8).toString('hex');
+const now = () => new Date().toISOString();
+const clone = (value) => structuredClone(value);
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Cursor pagination the way the public API does it: { data, nextCursor }
+function paginate(items, { limit, cursor }, defaultLimit = 100) {
+  const offset = cursor ? Number(Buffer.from(cursor, 'base64').toString()) : 0;
+  const size = Math.min(Number(limit) || defaultLimit, 250);
+  const data = items.slice(offset, offset + size);
+  const next = offset + size < items.length ? Buffer.from(String(offset + size)).toString('base64') : null;
+  return { data, nextCursor: next };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Split a multipart/form-data body into fields and files, the way the n8n
+// webhook node hands them to the workflow: fields in body, files as binary
+function parseMultipart(raw, boundary) {
+  const body = {};
+  const binary = {};
+  const delimiter = Buffer.from(`--${boundary}`);
+
+  let start = raw.indexOf(delimiter);
+  while (start !== -1) {
+    const end = raw.indexOf(delimiter, start + delimiter.length);
+    if (end === -1) {
+      break;
+    }
+    // Each part: CRLF, headers, blank line, content, CRLF
+    const part = raw.subarray(start + delimiter.length + 2, end - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.subarray(0, headerEnd).toString();
+    const content = part.subarray(headerEnd + 4);
+
+    const name = /name="([^"]*)"/.exec(headers)?.[1];
+    const fileName = /filename="([^"]*)"/.exec(headers)?.[1];
+    if (fileName !== undefined) {
+      binary[name] = {
+        fileName,
+        mimeType: /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1] || 'application/octet-stream',
+        fileSize: content.length,
+        data: content.toString('base64')
+      };
+    } else if (name) {
+      body[name] = content.toString();
+    }
+    start = end;
+  }
+
+  return { body, binary };
+}
+
+// Request body as the webhook node would parse it
+function parseWebhookBody(req, raw) {
+  const contentType = req.headers['content-type'] || '';
+  if (contentType.includes('application/json')) {
+    return { body: parseJson(raw.toString()), binary: {} };
+  }
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return { body: Object.fromEntries(new URLSearchParams(raw.toString())), binary: {} };
+  }
+  const boundary = /multipart\/form-data;\s*boundary=("?)([^";]+)\1/.exec(contentType)?.[2];
+  if (boundary) {
+    return parseMultipart(raw, boundary);
+  }
+  return { body: raw.length > 0 ? raw.toString() : {}, binary: {} };
+}
+
+function parseJson(raw) {
+  if (!raw) {
+    return {};
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new HttpError(400, 'Request body is not valid JSON');
+  }
+}
+
+function send(res, status, body, headers = {}) {
+  const isText = typeof body === 'string';
+  res.writeHead(status, { 'Content-Type': isText ? 'text/plain' : 'application/json', ...headers });
+  res.end(isText ? body : JSON.stringify(body));
+}
+
+export async function startMockN8n({ apiKey = 'test-api-key' } = {}) {
+  const state = {
+    workflows: new Map(),
+    executions: [],
+    tags: new Map(),
+    credentials: new Map(),
+    // What GET /types/nodes.json reports: a community node next to the bundled ones
+    nodeTypes: [
+      {
+        name: 'n8n-nodes-acme.crm',
+        displayName: 'Acme CRM',
+        description: 'Create and update contacts in Acme CRM',
+        group: ['output'],
+        version: [1, 2],
+        inputs: ['main'],
+        outputs: ['main'],
+        credentials: [{ name: 'acmeApi', required: true }],
+        properties: [
+          { displayName: 'Operation', name: 'operation', type: 'options', default: 'create', required: true, options: [{ name: 'Create', value: 'create' }, { name: 'Update', value: 'update' }] },
+          { displayName: 'Email', name: 'email', type: 'string', default: '', displayOptions: { show: { operation: ['create'] } } }
+        ]
+      }
+    ],
+    // Failures to answer with instead of handling a request, for retry tests:
+    // { method, path, status, headers, times }
+    faults: [],
+    requests: []
+  };
+  let executionCounter = 0;
+  // Stop functions of executions paused in a Wait node, by execution ID
+  const stoppers = new Map();
+
+  const getWorkflow = (id) => {
+    const workflow = state.workflows.get(id);
+    if (!workflow) {
+      throw new HttpError(404, 'Not Found');
+    }
+    return workflow;
+  };
+
+  const withTags = (workflow) => ({
+    ...clone(workflow),
+    tags: workflow.tagIds.map(id => state.tags.get(id)).filter(Boolean)
+  });
+
+  const webhookNodes = (workflow) => workflow.nodes.filter(node => node.type === WEBHOOK_TYPE);
+
+  // Active workflow listening on a path and method, if any
+  const findWebhook = (path, method, { includeInactive = false } = {}) => {
+    for (const workflow of state.workflows.values()) {
+      if (!workflow.active && !includeInactive) {
+        continue;
+      }
+      const node = webhookNodes(workflow).find(n =>
+        n.parameters?.path === path && (n.parameters?.httpMethod || 'GET') === method
+      );
+      if (node) {
+        return { workflow, node };
+      }
+    }
+    return null;
+  };
+
+  // Walk the workflow from its trigger with one { json, binary } item and
+  // record an execution. A Wait node pauses the run for its amount of seconds,
+  // during which the execution is "running" and can be stopped.
+  const runWorkflow = async (workflow, trigger, input) => {
+    const runData = {};
+    const execution = {
+      id: String(++executionCounter),
+      workflowId: workflow.id,
+      mode: 'webhook',
+      status: 'running',
+      finished: false,
+      startedAt: now(),
+      stoppedAt: null,
+      data: { resultData: { runData, lastNodeExecuted: trigger.name } }
+    };
+    state.executions.unshift(execution);
+
+    const visited = new Set();
+    const queue = [{ name: trigger.name, item: input }];
+    let respondedWith = null;
+    let lastItem = input;
+
+    while (queue.length > 0 && execution.status === 'running') {
+      const { name, item } = queue.shift();
+      if (visited.has(name)) {
+        continue;
+      }
+      visited.add(name);
+
+      const node = workflow.nodes.find(n => n.name === name);
+      execution.data.resultData.lastNodeExecuted = name;
+      if (node.type === ERROR_TYPE) {
+        const error = { message: node.parameters?.errorMessage || 'Workflow stopped by Stop and Error node' };
+        runData[name] = [{ executionTime: 1, error }];
+        execution.data.resultData.error = error;
+        execution.status = 'error';
+        break;
+      }
+      if (node.type === WAIT_TYPE) {
+        await new Promise(resolve => {
+          const timer = setTimeout(resolve, (node.parameters?.amount ?? 1) * 1000);
+          stoppers.set(execution.id, () => {
+            clearTimeout(timer);
+            resolve();
+          });
+        });
+        stoppers.delete(execution.id);
+        if (execution.status !== 'running') {
+          break;
+        }
+      }
+
+      runData[name] = [{ executionTime: 1, data: { main: [[item]] } }];
+      lastItem = item;
+      if (node.type === RESPOND_TYPE && !respondedWith) {
+        respondedWith = { node, item };
+      }
+
+      for (const links of workflow.connections[name]?.main || []) {
+        for (const link of links || []) {
+          queue.push({ name: link.node, item });
+        }
+      }
+    }
+
+    if (execution.status === 'running') {
+      execution.status = 'success';
+      execution.finished = true;
+    }
+    execution.stoppedAt = now();
+
+    return { execution, respondedWith, lastItem };
+  };
+
+  // Answer a webhook call the way the trigger's responseMode asks for
+  const handleWebhook = async (req, res, path, isTest) => {
+    const match = findWebhook(path, req.method, { includeInactive: isTest });
+    if (!match) {
+      throw new HttpError(404, `The requested webhook "${req.method} ${path}" is not registered.`);
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const { body, binary } = parseWebhookBody(req, await readBody(req));
+    const query = {};
+    for (const [key, value] of url.searchParams) {
+      query[key] = key in query ? [].concat(query[key], value) : value;
+    }
+    const input = {
+      json: { headers: req.headers, params: {}, query, body },
+      binary
+    };
+
+    const run = runWorkflow(match.workflow, match.node, input);
+    const responseMode = match.node.parameters?.responseMode || 'onReceived';
+
+    if (responseMode === 'onReceived') {
+      return send(res, 200, { message: 'Workflow was started' });
+    }
+    const { execution, respondedWith, lastItem } = await run;
+    if (execution.status !== 'success') {
+      return send(res, 500, { code: 0, message: execution.status === 'canceled' ? 'Workflow execution was canceled' : 'Error in workflow' });
+    }
+    if (responseMode === 'lastNode') {
+      return send(res, 200, lastItem.json);
+    }
+
+    if (!respondedWith) {
+      return send(res, 500, { code: 0, message: 'No Respond to Webhook node was executed' });
+    }
+    const { parameters = {} } = respondedWith.node;
+    const status = parameters.options?.responseCode || 200;
+    switch (parameters.respondWith) {
+      case 'json': {
+        let payload = parameters.responseBody;
+        try {
+          payload = JSON.parse(parameters.responseBody);
+        } catch {
+          // n8n would evaluate expressions; the mock returns the body as written
+        }
+        return send(res, status, payload);
+      }
+      case 'text':
+        return send(res, status, String(parameters.responseBody ?? ''));
+      case 'binary': {
+        const file = respondedWith.item.binary[parameters.inputDataFieldName || 'data'];
+        if (!file) {
+          return send(res, 500, { code: 0, message: 'No binary data to respond with' });
+        }
+        res.writeHead(status, {
+          'Content-Type': file.mimeType,
+          'Content-Disposition': `attachment; filename="${file.fileName}"`
+        });
+        return res.end(Buffer.from(file.data, 'base64'));
+      }
+      case 'redirect':
+        res.writeHead(parameters.options?.responseCode || 307, { Location: parameters.redirectURL });
+        return res.end();
+      case 'noData':
+        res.writeHead(status);
+        return res.end();
+      default:
+        return send(res, status, respondedWith.item.json);
+    }
+  };
+
+  const api = {
+    'GET /workflows': (req, url) => {
+      let workflows = [...state.workflows.values()];
+      const active = url.searchParams.get('active');
+      if (active !== null) {
+        workflows = workflows.filter(wf => String(wf.active) === active);
+      }
+      const tags = url.searchParams.get('tags');
+      if (tags) {
+        const names = tags.split(',');
+        workflows = workflows.filter(wf => names.every(name =>
+          wf.tagIds.some(id => state.tags.get(id)?.name === name)
+        ));
+      }
+      const name = url.searchParams.get('name');
+      if (name) {
+        workflows = workflows.filter(wf => wf.name === name);
+      }
+
+      const page = paginate(workflows, Object.fromEntries(url.searchParams));
+      return { ...page, data: page.data.map(withTags) };
+    },
+
+    'POST /workflows': (req, url, body) => {
+      for (const field of ['name', 'nodes', 'connections', 'settings']) {
+        if (body[field] === undefined) {
+          throw new HttpError(400, `request/body must have required property '${field}'`);
+        }
+      }
+      const workflow = {
+        id: newId(),
+        name: body.name,
+        active: false,
+        nodes: clone(body.nodes),
+        connections: clone(body.connections),
+        settings: clone(body.settings),
+        staticData: body.staticData || null,
+        meta: body.meta || null,
+        tagIds: [],
+        versionId: crypto.randomUUID(),
+        createdAt: now(),
+        updatedAt: now()
+      };
+      state.workflows.set(workflow.id, workflow);
+      return withTags(workflow);
+    },
+
+    'GET /workflows/:id': (req, url, body, [id]) => withTags(getWorkflow(id)),
+
+    'PUT /workflows/:id': (req, url, body, [id]) => {
+      const workflow = getWorkflow(id);
+      const extra = Object.keys(body).filter(key => !UPDATABLE_FIELDS.includes(key));
+      if (extra.length > 0) {
+        throw new HttpError(400, `request/body must NOT have additional properties (${extra.join(', ')})`);
+      }
+      Object.assign(workflow, clone(body), { versionId: crypto.randomUUID(), updatedAt: now() });
+      return withTags(workflow);
+    },
+
+    'DELETE /workflows/:id': (req, url, body, [id]) => {
+      const workflow = getWorkflow(id);
+      state.workflows.delete(id);
+      return withTags(workflow);
+    },
+
+    'POST /workflows/:id/activate': (req, url, body, [id]) => {
+      const workflow = getWorkflow(id);
+      const triggers = workflow.nodes.filter(node => /trigger|webhook/i.test(node.type) && node.type !== MANUAL_TYPE);
+      if (triggers.length === 0) {
+        throw new HttpError(400, 'Workflow has no node to start the workflow - at least one trigger, poller or webhook node is required');
+      }
+      for (const node of webhookNodes(workflow)) {
+        const other = findWebhook(node.parameters?.path, node.parameters?.httpMethod || 'GET');
+        if (other && other.workflow.id !== id) {
+          throw new HttpError(409, 'There is a conflict with one of the webhooks.');
+        }
+      }
+      workflow.active = true;
+      workflow.updatedAt = now();
+      return withTags(workflow);
+    },
+
+    'POST /workflows/:id/deactivate': (req, url, body, [id]) => {
+      const workflow = getWorkflow(id);
+      workflow.active = false;
+      workflow.updatedAt = now();
+      return withTags(workflow);
+    },
+
+    'GET /workflows/:id/tags': (req, url, body, [id]) => withTags(getWorkflow(id)).tags,
+
+    'PUT /workflows/:id/tags': (req, url, body, [id]) => {
+      const workflow = getWorkflow(id);
+      if (!Array.isArray(body)) {
+        throw new HttpError(400, 'request/body must be array');
+      }
+      const unknown = body.find(ref => !state.tags.has(ref.id));
+      if (unknown) {
+        throw new HttpError(404, `Tag ${unknown.id} not found`);
+      }
+      workflow.tagIds = [...new Set(body.map(ref => ref.id))];
+      workflow.updatedAt = now();
+      return withTags(workflow).tags;
+    },
+
+    'GET /tags': (req, url) => paginate([...state.tags.values()], Object.fromEntries(url.searchParams)),
+
+    'POST /tags': (req, url, body) => {
+      if ([...state.tags.values()].some(tag => tag.name === body.name)) {
+        throw new HttpError(409, 'Tag already exists');
+      }
+      const tag = { id: newId(), name: body.name, createdAt: now(), updatedAt: now() };
+      state.tags.set(tag.id, tag);
+      return tag;
+    },
+
+    'DELETE /tags/:id': (req, url, body, [id]) => {
+      const tag = state.tags.get(id);
+      if (!tag) {
+        throw new HttpError(404, 'Not Found');
+      }
+      state.tags.delete(id);
+      for (const workflow of state.workflows.values()) {
+        workflow.tagIds = workflow.tagIds.filter(tagId => tagId !== id);
+      }
+      return tag;
+    },
+
+    'GET /credentials': (req, url) => {
+      const page = paginate([...state.credentials.values()], Object.fromEntries(url.searchParams));
+      return { ...page, data: page.data.map(({ data, ...credential }) => credential) };
+    },
+
+    'POST /credentials': (req, url, body) => {
+      const schema = CREDENTIAL_SCHEMAS[body.type];
+      if (!schema) {
+        throw new HttpError(400, `Credential type "${body.type}" is not known`);
+      }
+      const missing = schema.required.filter(field => body.data?.[field] === undefined);
+      if (missing.length > 0) {
+        throw new HttpError(400, `request.body.data requires property "${missing[0]}"`);
+      }
+      const credential = { id: newId(), name: body.name, type: body.type, data: body.data, createdAt: now(), updatedAt: now() };
+      state.credentials.set(credential.id, credential);
+      const { data, ...created } = credential;
+      return created;
+    },
+
+    'GET /credentials/schema/:type': (req, url, body, [type]) => {
+      if (!CREDENTIAL_SCHEMAS[type]) {
+        throw new HttpError(404, `Credential type "${type}" not found`);
+      }
+      return CREDENTIAL_SCHEMAS[type];
+    },
+
+    'GET /executions': (req, url) => {
+      let executions = state.executions;
+      const workflowId = url.searchParams.get('workflowId');
+      if (workflowId) {
+        executions = executions.filter(execution => execution.workflowId === workflowId);
+      }
+      const status = url.searchParams.get('status');
+      if (status) {
+        executions = executions.filter(execution => execution.status === status);
+      }
+      const includeData = url.searchParams.get('includeData') === 'true';
+      const page = paginate(executions, Object.fromEntries(url.searchParams), 20);
+      return {
+        ...page,
+        data: page.data.map(({ data, ...execution }) => (includeData ? { ...execution, data } : execution))
+      };
+    },
+
+    'GET /executions/:id': (req, url, body, [id]) => {
+      const execution = state.executions.find(e => e.id === id);
+      if (!execution) {
+        throw new HttpError(404, 'Not Found');
+      }
+      const { data, ...rest } = execution;
+      return url.searchParams.get('includeData') === 'true' ? { ...rest, data } : rest;
+    },
+
+    'POST /executions/:id/stop': (req, url, body, [id]) => {
+      const execution = state.executions.find(e => e.id === id);
+      if (!execution) {
+        throw new HttpError(404, 'Not Found');
+      }
+      if (execution.status !== 'running') {
+        throw new HttpError(409, `Execution ${id} is not running`);
+      }
+      execution.status = 'canceled';
+      stoppers.get(id)?.();
+      const { data, ...rest } = execution;
+      return rest;
+    },
+
+    'DELETE /executions/:id': (req, url, body, [id]) => {
+      const index = state.executions.findIndex(e => e.id === id);
+      if (index === -1) {
+        throw new HttpError(404, 'Not Found');
+      }
+      return state.executions.splice(index, 1)[0];
+    }
+  };
+
+  // Match "METHOD /path" against the route table; ":id" segments are captured
+  const route = (method, path) => {
+    const segments = path.split('/').filter(Boolean);
+    for (const [key, handler] of Object.entries(api)) {
+      const [routeMethod, routePath] = key.split(' ');
+      const routeSegments = routePath.split('/').filter(Boolean);
+      if (routeMethod !== method || routeSegments.length !== segments.length) {
+        continue;
+      }
+      const params = [];
+      const matches = routeSegments.every((segment, i) => {
+        if (segment.startsWith(':')) {
+          params.push(decodeURIComponent(segments[i]));
+          return true;
+        }
+        return segment === segments[i];
+      });
+      if (matches) {
+        return { handler, params };
+      }
+    }
+    return null;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    state.requests.push(`${req.method} ${url.pathname}`);
+
+    const fault = state.faults.find(f => f.times > 0 && f.method === req.method && f.path === url.pathname);
+    if (fault) {
+      fault.times--;
+      return send(res, fault.status, { message: `Injected HTTP ${fault.status}` }, fault.headers);
+    }
+
+    try {
+      const webhook = url.pathname.match(/^\/(webhook|webhook-test)\/(.+)$/);
+      if (webhook) {
+        return await handleWebhook(req, res, webhook[2], webhook[1] === 'webhook-test');
+      }
+
+      // The editor's node descriptions; n8n serves them without an API key
+      if (req.method === 'GET' && url.pathname === '/types/nodes.json') {
+        return send(res, 200, state.nodeTypes);
+      }
+
+      if (!url.pathname.startsWith('/api/v1/')) {
+        throw new HttpError(404, 'Not Found');
+      }
+      if (req.headers['x-n8n-api-key'] !== apiKey) {
+        throw new HttpError(401, 'unauthorized');
+      }
+
+      const match = route(req.method, url.pathname.slice('/api/v1'.length));
+      if (!match) {
+        throw new HttpError(404, 'Not Found');
+      }
+      const body = parseJson((await readBody(req)).toString());
+      send(res, 200, await match.handler(req, url, body, match.params));
+    } catch (error) {
+      send(res, error.status || 500, { message: error.message });
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    apiKey,
+    state,
+    close: () => new Promise(resolve => {
+      for (const stop of stoppers.values()) {
+        stop();
+      }
+      server.closeAllConnections?.();
+      server.close(resolve);
+    })
+  };
+}
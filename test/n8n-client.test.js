@@ -0,0 +1,84 @@
+import assert from 'assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+import { createApiClient, N8nErrorCode, requestWithRetry, toMcpError } from '../lib/n8n-client.js';
+import { startMockN8n } from './mock-n8n.js';
+
+// Retries of the n8n client, against a mock n8n told to fail requests
+
+let mock;
+let api;
+
+before(async () => {
+  mock = await startMockN8n();
+  api = createApiClient({ apiUrl: `${mock.baseUrl}/api/v1`, apiKey: mock.apiKey, maxRetries: 2 });
+});
+
+after(async () => {
+  await mock.close();
+});
+
+// Make the mock answer the next `times` matching requests with `status`
+const fail = (method, path, status, { times = 1, headers } = {}) => {
+  mock.state.faults.push({ method, path: `/api/v1${path}`, status, headers, times });
+};
+
+const sent = (method, path) => mock.state.requests.filter(request => request === `${method} /api/v1${path}`).length;
+
+describe('requestWithRetry', () => {
+  it('waits as long as Retry-After asks before repeating a rate-limited request', async () => {
+    fail('GET', '/tags', 429, { headers: { 'Retry-After': '1' } });
+    const before = sent('GET', '/tags');
+
+    const started = Date.now();
+    const response = await requestWithRetry(
+      { method: 'get', url: `${mock.baseUrl}/api/v1/tags`, headers: { 'X-N8N-API-KEY': mock.apiKey } },
+      { maxRetries: 1 }
+    );
+    assert.equal(response.status, 200);
+    assert.ok(Date.now() - started >= 950, `retried after ${Date.now() - started}ms`);
+    assert.equal(sent('GET', '/tags') - before, 2);
+  });
+
+  it('retries a GET that hits a gateway error, backing off in between', async () => {
+    fail('GET', '/workflows', 503);
+    const before = sent('GET', '/workflows');
+
+    const started = Date.now();
+    const page = await api.get('/workflows');
+    assert.ok(Array.isArray(page.data));
+    assert.ok(Date.now() - started >= 450, `retried after ${Date.now() - started}ms`);
+    assert.equal(sent('GET', '/workflows') - before, 2);
+  });
+
+  it('never repeats a plain POST n8n may have handled', async () => {
+    fail('POST', '/tags', 503);
+    const before = sent('POST', '/tags');
+
+    await assert.rejects(api.post('/tags', { name: 'once' }), error => error.response?.status === 503 && error.attempts === 1);
+    assert.equal(sent('POST', '/tags') - before, 1);
+    assert.equal((await api.get('/tags')).data.some(tag => tag.name === 'once'), false);
+  });
+
+  it('repeats POSTs marked idempotent', async () => {
+    fail('POST', '/tags', 503, { headers: { 'Retry-After': '0' } });
+    const before = sent('POST', '/tags');
+
+    const tag = await api.post('/tags', { name: 'twice' }, { idempotent: true });
+    assert.equal(tag.name, 'twice');
+    assert.equal(sent('POST', '/tags') - before, 2);
+  });
+
+  it('turns the last failure into an McpError once retries run out', async () => {
+    fail('GET', '/credentials', 503, { times: 3, headers: { 'Retry-After': '0' } });
+
+    const error = await api.get('/credentials').catch(failure => failure);
+    assert.equal(error.attempts, 3);
+
+    const mcpError = toMcpError(error, 'Failed to list credentials', { instance: 'default' });
+    assert.ok(mcpError instanceof McpError);
+    assert.equal(mcpError.code, N8nErrorCode.UpstreamError);
+    assert.match(mcpError.message, /Failed to list credentials: Injected HTTP 503 \(HTTP 503, 3 attempts\)/);
+    assert.equal(mcpError.data.status, 503);
+  });
+});
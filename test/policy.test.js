@@ -0,0 +1,189 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { loadPolicy } from '../lib/policy.js';
+import { startTestServer } from './helpers.js';
+
+// The policy file, enforced against a server started with one
+
+const policyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'n8n-mcp-policy-'));
+const policyFile = path.join(policyDir, 'policy.json');
+
+let t;
+
+before(async () => {
+  fs.writeFileSync(policyFile, JSON.stringify({
+    nodeTypes: { deny: ['n8n-nodes-base.code', 'n8n-nodes-base.execute*'] },
+    maxNodes: 5,
+    autoActivate: false,
+    webhookHosts: ['*.example.com'],
+    instances: { locked: { readOnly: true }, archive: { readOnly: true, localWrites: true } }
+  }));
+  t = await startTestServer({
+    env: mock => ({
+      N8N_MCP_POLICY: policyFile,
+      N8N_INSTANCES: 'locked,archive',
+      N8N_LOCKED_BASE_URL: mock.baseUrl,
+      N8N_LOCKED_API_KEY: mock.apiKey,
+      N8N_ARCHIVE_BASE_URL: mock.baseUrl,
+      N8N_ARCHIVE_API_KEY: mock.apiKey
+    })
+  });
+});
+
+after(async () => {
+  await t.close();
+  fs.rmSync(policyDir, { recursive: true, force: true });
+});
+
+const node = (name, type) => ({ name, type, typeVersion: 1, parameters: {} });
+
+// The rule a policy violation names
+const blockedBy = (rule) => (error) => error.code === -32040 && error.message.includes(`"${rule}"`);
+
+describe('node types and size', () => {
+  it('rejects denied node types before calling n8n', async () => {
+    await assert.rejects(
+      t.call('create_workflow', { name: 'Shell', nodes: [node('Run', 'n8n-nodes-base.executeCommand')] }),
+      blockedBy('nodeTypes.deny')
+    );
+    assert.equal(t.mock.state.workflows.size, 0);
+  });
+
+  it('rejects workflows over the size cap', async () => {
+    const nodes = ['A', 'B', 'C', 'D'].map(name => node(name, 'n8n-nodes-base.noOp'));
+    await assert.rejects(t.call('create_workflow', { name: 'Big', nodes }), blockedBy('maxNodes'));
+  });
+
+  it('checks updates against the same rules', async () => {
+    const { workflow } = await t.call('create_workflow', { name: 'Small', nodes: [node('Mark', 'n8n-nodes-base.set')] });
+    await assert.rejects(
+      t.call('update_workflow', { id: workflow.id, addNodes: [node('Script', 'n8n-nodes-base.code')] }),
+      blockedBy('nodeTypes.deny')
+    );
+  });
+});
+
+describe('activation and webhooks', () => {
+  it('creates workflows inactive when auto-activation is off', async () => {
+    const result = await t.call('create_workflow', { name: 'Inactive', nodes: [node('Mark', 'n8n-nodes-base.set')] });
+    assert.equal(result.workflow.active, false);
+    assert.ok(result.warnings.some(warning => warning.rule === 'policy:autoActivate'));
+    assert.equal(t.mock.state.workflows.get(result.workflow.id).active, false);
+
+    // The instance's own webhook URLs stay callable
+    const run = await t.call('execute_workflow_webhook', { webhookUrl: result.workflow.productionUrl, useTestUrl: true });
+    assert.equal(run.status, 200);
+  });
+
+  it('imports workflows inactive when auto-activation is off', async () => {
+    const { workflow } = await t.call('create_workflow', { name: 'To Import', nodes: [node('Mark', 'n8n-nodes-base.set')] });
+    const { file } = await t.call('export_workflow', { id: workflow.id });
+
+    const imported = await t.call('import_workflow', { file, activate: true });
+    assert.equal(imported.workflow.active, false);
+    assert.ok(imported.warnings.some(warning => warning.rule === 'policy:autoActivate'));
+    assert.equal(t.mock.state.workflows.get(imported.workflow.id).active, false);
+  });
+
+  it('refuses webhook calls to hosts that are not allowed', async () => {
+    await assert.rejects(
+      t.call('execute_workflow_webhook', { webhookUrl: 'https://attacker.test/collect' }),
+      blockedBy('webhookHosts')
+    );
+    await assert.rejects(
+      t.call('batch_execute_webhook', { webhookUrl: 'https://attacker.test/collect', payloads: [{}] }),
+      blockedBy('webhookHosts')
+    );
+  });
+
+  it('does not follow webhook redirects to hosts that are not allowed', async () => {
+    // Another local port is another host, outside webhookHosts
+    let reached = 0;
+    const elsewhere = http.createServer((req, res) => {
+      reached += 1;
+      res.end('{}');
+    });
+    await new Promise(resolve => elsewhere.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const target = `http://127.0.0.1:${elsewhere.address().port}/collect`;
+      const { workflow } = await t.call('create_workflow', {
+        name: 'Redirecting',
+        nodes: [{
+          name: 'Send Away',
+          type: 'n8n-nodes-base.respondToWebhook',
+          typeVersion: 1.1,
+          parameters: { respondWith: 'redirect', redirectURL: target }
+        }]
+      });
+
+      await assert.rejects(
+        t.call('execute_workflow_webhook', { webhookUrl: workflow.productionUrl, useTestUrl: true, payload: { secret: 1 } }),
+        error => error.message.includes('HTTP 307') && error.message.includes(`redirected to ${target}`)
+      );
+      const batch = await t.call('batch_execute_webhook', { webhookUrl: workflow.productionUrl, useTestUrl: true, payloads: [{}] });
+      assert.deepEqual(batch.statusCodes, { 307: 1 });
+      assert.equal(reached, 0);
+    } finally {
+      await new Promise(resolve => elsewhere.close(resolve));
+    }
+  });
+});
+
+describe('read-only mode', () => {
+  it('only lets read-only tools through on the locked instance', async () => {
+    const listed = await t.call('list_workflows', { instance: 'locked' });
+    assert.ok(listed.workflows.length > 0);
+    await t.call('cleanup_workflows', { instance: 'locked' });
+
+    await assert.rejects(
+      t.call('create_workflow', { instance: 'locked', name: 'Nope' }),
+      blockedBy('readOnly')
+    );
+    await assert.rejects(
+      t.call('cleanup_workflows', { instance: 'locked', dryRun: false }),
+      blockedBy('readOnly')
+    );
+  });
+
+  it('only allows local writes in read-only mode with localWrites', async () => {
+    const { id } = (await t.call('list_workflows', { instance: 'locked' })).workflows[0];
+    for (const [tool, args] of [
+      ['export_workflow', { id }],
+      ['snapshot_workflow', { id }],
+      ['sync_registry', {}],
+      ['refresh_node_catalog', {}]
+    ]) {
+      await assert.rejects(t.call(tool, { instance: 'locked', ...args }), blockedBy('readOnly'), tool);
+    }
+    assert.equal((await t.call('sync_registry', { instance: 'locked', dryRun: true })).dryRun, true);
+
+    const exported = await t.call('export_workflow', { instance: 'archive', id });
+    assert.ok(fs.existsSync(exported.file));
+    await t.call('snapshot_workflow', { instance: 'archive', id });
+    await assert.rejects(t.call('delete_workflow', { instance: 'archive', id }), blockedBy('readOnly'));
+  });
+
+  it('shows the rules of each instance in list_instances', async () => {
+    const { instances } = await t.call('list_instances');
+    const byName = Object.fromEntries(instances.map(instance => [instance.name, instance]));
+    assert.equal(byName.locked.policy.readOnly, true);
+    assert.equal(byName.default.policy.readOnly, undefined);
+    assert.equal(byName.default.policy.maxNodes, 5);
+  });
+});
+
+describe('policy file', () => {
+  it('refuses unknown rules instead of ignoring them', () => {
+    const file = path.join(policyDir, 'typo.json');
+    fs.writeFileSync(file, JSON.stringify({ readonly: true }));
+    assert.throws(() => loadPolicy(file), /unknown rule "readonly"/);
+
+    fs.writeFileSync(file, JSON.stringify({ instances: { prod: { maxNodes: '10' } } }));
+    assert.throws(() => loadPolicy(file), /instance "prod": maxNodes must be a number/);
+  });
+});
@@ -0,0 +1,1311 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { startTestServer } from './helpers.js';
+
+// Every tool, resource and prompt, driven through an MCP client against the mock n8n
+
+let t;
+
+before(async () => {
+  t = await startTestServer({
+    // A second profile whose API key n8n rejects
+    env: mock => ({ N8N_INSTANCES: 'stale', N8N_STALE_BASE_URL: mock.baseUrl, N8N_STALE_API_KEY: 'revoked' })
+  });
+});
+
+after(async () => {
+  await t.close();
+});
+
+// Create a workflow with a Set node answering through the default respond node
+const createEchoWorkflow = (name, extra = {}) => t.call('create_workflow', {
+  name,
+  nodes: [{ name: 'Mark', type: 'n8n-nodes-base.set', typeVersion: 3.4, parameters: {} }],
+  ...extra
+});
+
+describe('discovery', () => {
+  it('lists every tool with an instance argument', async () => {
+    const { tools } = await t.client.listTools();
+    assert.equal(tools.length, 39);
+    const instanceFree = ['list_instances', 'get_job_status', 'list_jobs', 'cancel_job'];
+    for (const tool of tools.filter(tool => !instanceFree.includes(tool.name))) {
+      assert.ok(tool.inputSchema.properties.instance, `${tool.name} takes an instance`);
+    }
+  });
+
+  it('list_instances reports which profiles are reachable', async () => {
+    const result = await t.call('list_instances');
+    assert.equal(result.defaultInstance, 'default');
+    const byName = Object.fromEntries(result.instances.map(instance => [instance.name, instance]));
+    assert.equal(byName.default.reachable, true);
+    assert.equal(byName.default.webhookUrl, `${t.mock.baseUrl}/webhook`);
+    assert.equal(byName.stale.reachable, false);
+  });
+
+  it('rejects unknown instances', async () => {
+    await assert.rejects(t.call('list_tags', { instance: 'nope' }), /Unknown n8n instance "nope"/);
+  });
+});
+
+describe('workflow lifecycle', () => {
+  let workflow;
+
+  it('create_workflow creates, tags and activates a webhook workflow', async () => {
+    const result = await createEchoWorkflow('Lifecycle Echo', { tags: ['team-a'] });
+    workflow = result.workflow;
+
+    assert.equal(result.success, true);
+    assert.equal(workflow.active, true);
+    assert.equal(workflow.triggerType, 'webhook');
+    assert.deepEqual(workflow.tags.sort(), ['mcp-generated', 'team-a']);
+    assert.equal(workflow.productionUrl, `${t.mock.baseUrl}/webhook/${workflow.webhookPath}`);
+
+    const stored = t.mock.state.workflows.get(workflow.id);
+    assert.equal(stored.active, true);
+    assert.deepEqual(stored.nodes.map(node => node.name).sort(), ['Mark', 'Respond to Webhook', 'Webhook Trigger']);
+    assert.equal(stored.connections['Webhook Trigger'].main[0][0].node, 'Mark');
+  });
+
+  it('create_workflow refuses invalid graphs before calling n8n', async () => {
+    const before = t.mock.state.workflows.size;
+    await assert.rejects(
+      t.call('create_workflow', {
+        name: 'Broken',
+        nodes: [{ name: 'A', type: 'n8n-nodes-base.set' }],
+        connections: [{ source: 'A', target: 'Missing' }]
+      }),
+      /Missing/
+    );
+    assert.equal(t.mock.state.workflows.size, before);
+  });
+
+  it('execute_workflow_webhook runs the workflow and waits for its execution', async () => {
+    const result = await t.call('execute_workflow_webhook', {
+      webhookUrl: workflow.productionUrl,
+      payload: { hello: 'world' },
+      waitForCompletion: true,
+      pollInterval: 10
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(result.status, 200);
+    assert.equal(result.data.message, 'Workflow executed successfully');
+    assert.equal(result.execution.status, 'success');
+    assert.equal(result.execution.workflowId, workflow.id);
+    assert.deepEqual(result.execution.nodes.map(node => node.node), ['Webhook Trigger', 'Mark', 'Respond to Webhook']);
+  });
+
+  it('execute_workflow_webhook reports unregistered webhooks as not found', async () => {
+    await assert.rejects(
+      t.call('execute_workflow_webhook', { webhookUrl: `${t.mock.baseUrl}/webhook/nothing-here` }),
+      error => error.code === -32004
+    );
+  });
+
+  it('list_executions and get_execution return the run', async () => {
+    const { executions } = await t.call('list_executions', { workflowId: workflow.id });
+    assert.equal(executions.length, 1);
+
+    const execution = await t.call('get_execution', { id: executions[0].id, includeData: true });
+    assert.equal(execution.status, 'success');
+    assert.equal(execution.runData.Mark[0].data.main[0][0].json.body.hello, 'world');
+  });
+
+  it('list_workflows filters by tag, name and activity', async () => {
+    const other = await createEchoWorkflow('Lifecycle Other');
+    await t.call('deactivate_workflow', { id: other.workflow.id });
+
+    const tagged = await t.call('list_workflows', { tags: ['team-a'] });
+    assert.deepEqual(tagged.workflows.map(wf => wf.id), [workflow.id]);
+    assert.equal(tagged.workflows[0].productionUrl, workflow.productionUrl);
+
+    const inactive = await t.call('list_workflows', { active: false, nameContains: 'lifecycle' });
+    assert.deepEqual(inactive.workflows.map(wf => wf.id), [other.workflow.id]);
+
+    const paged = await t.call('list_workflows', { limit: 1, nameRegex: '^Lifecycle' });
+    assert.equal(paged.workflows.length, 1);
+    assert.ok(paged.nextCursor);
+
+    const all = await t.call('list_workflows', { limit: 1, fetchAll: true, nameRegex: '^Lifecycle', full: true });
+    assert.equal(all.count, 2);
+    assert.ok(all.workflows.every(wf => Array.isArray(wf.nodes)));
+
+    await t.call('delete_workflow', { id: other.workflow.id });
+  });
+
+  it('get_workflow returns the full definition', async () => {
+    const result = await t.call('get_workflow', { id: workflow.id });
+    assert.equal(result.id, workflow.id);
+    assert.equal(result.meta.templateCreatedBy, 'n8n-mcp-execution-server');
+  });
+
+  it('update_workflow edits nodes and keeps the webhook path', async () => {
+    const result = await t.call('update_workflow', {
+      id: workflow.id,
+      name: 'Lifecycle Echo v2',
+      renameNodes: [{ from: 'Mark', to: 'Stamp' }],
+      updateNodes: [{ node: 'Stamp', parameters: { mode: 'manual' } }]
+    });
+
+    assert.equal(result.workflow.webhookPath, workflow.webhookPath);
+    assert.equal(result.workflow.active, true);
+
+    const stored = t.mock.state.workflows.get(workflow.id);
+    assert.equal(stored.name, 'Lifecycle Echo v2');
+    assert.equal(stored.nodes.find(node => node.name === 'Stamp').parameters.mode, 'manual');
+    assert.equal(stored.connections['Webhook Trigger'].main[0][0].node, 'Stamp');
+  });
+
+  it('update_workflow refuses edits that break the graph', async () => {
+    await assert.rejects(
+      t.call('update_workflow', { id: workflow.id, removeNodes: ['Respond to Webhook'] }),
+      /respond/i
+    );
+  });
+
+  it('validate_workflow checks an existing workflow and a proposed one', async () => {
+    const existing = await t.call('validate_workflow', { id: workflow.id });
+    assert.equal(existing.valid, true);
+
+    const proposed = await t.call('validate_workflow', {
+      nodes: [{ name: 'A', type: 'n8n-nodes-base.set' }, { name: 'A', type: 'n8n-nodes-base.set' }]
+    });
+    assert.equal(proposed.valid, false);
+  });
+
+  it('deactivate_workflow and activate_workflow toggle the webhook', async () => {
+    await t.call('deactivate_workflow', { id: workflow.id });
+    await assert.rejects(
+      t.call('execute_workflow_webhook', { webhookUrl: workflow.productionUrl }),
+      error => error.code === -32004
+    );
+
+    const testRun = await t.call('execute_workflow_webhook', { webhookUrl: workflow.productionUrl, useTestUrl: true });
+    assert.equal(testRun.status, 200);
+
+    await t.call('activate_workflow', { id: workflow.id });
+    assert.equal(t.mock.state.workflows.get(workflow.id).active, true);
+  });
+
+  it('delete_workflow deactivates and removes the workflow', async () => {
+    const result = await t.call('delete_workflow', { id: workflow.id });
+    assert.equal(result.workflow.wasActive, true);
+    assert.equal(t.mock.state.workflows.has(workflow.id), false);
+
+    await assert.rejects(t.call('get_workflow', { id: workflow.id }), error => error.code === -32004);
+  });
+});
+
+describe('triggers and responses', () => {
+  it('answers from the node an IF branch reaches', async () => {
+    const { workflow } = await t.call('create_workflow_from_template', {
+      template: 'webhook-if-respond',
+      name: 'Branching',
+      parameters: { field: 'tier', value: 'gold', trueResponse: { vip: true } }
+    });
+
+    // The mock follows every branch; the first respond node reached answers
+    const result = await t.call('execute_workflow_webhook', { webhookUrl: workflow.productionUrl, payload: { tier: 'gold' } });
+    assert.deepEqual(result.data, { vip: true });
+  });
+
+  it('reports failed executions with the failing node', async () => {
+    const { workflow } = await t.call('create_workflow', {
+      name: 'Always Fails',
+      nodes: [{ name: 'Fail', type: 'n8n-nodes-base.stopAndError', typeVersion: 1, parameters: { errorMessage: 'boom' } }],
+      trigger: { responseMode: 'lastNode' }
+    });
+
+    await assert.rejects(
+      t.call('execute_workflow_webhook', { webhookUrl: workflow.productionUrl }),
+      error => error.code === -32050
+    );
+
+    const { executions } = await t.call('list_executions', { workflowId: workflow.id, status: 'error' });
+    assert.equal(executions.length, 1);
+    const execution = await t.call('get_execution', { id: executions[0].id });
+    assert.equal(execution.error, 'boom');
+    assert.equal(execution.nodes.find(node => node.error).node, 'Fail');
+  });
+
+  it('creates manual workflows without activating them', async () => {
+    const result = await t.call('create_workflow', { name: 'By Hand', trigger: { type: 'manual' } });
+    assert.equal(result.workflow.active, false);
+    assert.equal(t.mock.state.workflows.get(result.workflow.id).active, false);
+  });
+
+  it('creates schedule workflows and activates them', async () => {
+    const result = await t.call('create_workflow', {
+      name: 'Nightly',
+      trigger: { type: 'schedule', cron: '0 3 * * *' }
+    });
+    assert.equal(result.workflow.triggerType, 'schedule');
+    assert.equal(result.workflow.active, true);
+  });
+});
+
+describe('canvas layout', () => {
+  // Canvas positions of a stored workflow's nodes, by name
+  const positionsOf = (id) => Object.fromEntries(
+    t.mock.state.workflows.get(id).nodes.map(node => [node.name, node.position])
+  );
+
+  it('lays out IF and Switch branches in separate rows', async () => {
+    const { workflow } = await t.call('create_workflow', {
+      name: 'Layout Branches',
+      nodes: [
+        { name: 'Check', type: 'n8n-nodes-base.if', parameters: {} },
+        { name: 'Yes', type: 'n8n-nodes-base.set', parameters: {} },
+        { name: 'Route', type: 'n8n-nodes-base.switch', parameters: {} },
+        { name: 'A', type: 'n8n-nodes-base.noOp', parameters: {} },
+        { name: 'B', type: 'n8n-nodes-base.noOp', parameters: {} },
+        { name: 'C', type: 'n8n-nodes-base.noOp', parameters: {} }
+      ],
+      connections: [
+        { source: 'Check', sourceOutput: 0, target: 'Yes' },
+        { source: 'Check', sourceOutput: 1, target: 'Route' },
+        { source: 'Route', sourceOutput: 0, target: 'A' },
+        { source: 'Route', sourceOutput: 1, target: 'B' },
+        { source: 'Route', sourceOutput: 2, target: 'C' }
+      ]
+    });
+    const positions = positionsOf(workflow.id);
+
+    // Both IF branches sit in the column after it, the true branch on top
+    assert.equal(positions.Yes[0], positions.Route[0]);
+    assert.ok(positions.Check[0] < positions.Yes[0]);
+    assert.ok(positions.Yes[1] < positions.Route[1]);
+
+    // Each Switch output gets its own row, in output order
+    assert.equal(new Set([positions.A[0], positions.B[0], positions.C[0]]).size, 1);
+    assert.ok(positions.A[1] < positions.B[1] && positions.B[1] < positions.C[1]);
+
+    // The respond node ends the flow in the last column
+    const columns = Object.values(positions).map(([x]) => x);
+    assert.equal(positions['Respond to Webhook'][0], Math.max(...columns));
+    assert.ok(positions['Respond to Webhook'][0] > positions.A[0]);
+    assert.equal(positions['Webhook Trigger'][0], Math.min(...columns));
+  });
+
+  it('keeps existing positions when update_workflow adds nodes', async () => {
+    const { workflow } = await createEchoWorkflow('Layout Update');
+    const before = positionsOf(workflow.id);
+
+    await t.call('update_workflow', {
+      id: workflow.id,
+      addNodes: [{ name: 'Log', type: 'n8n-nodes-base.noOp', parameters: {} }],
+      addConnections: [{ source: 'Mark', target: 'Log' }]
+    });
+    const after = positionsOf(workflow.id);
+
+    for (const [name, position] of Object.entries(before)) {
+      assert.deepEqual(after[name], position, `${name} stays in place`);
+    }
+    assert.ok(after.Log[0] > after.Mark[0]);
+    assert.ok(Object.entries(before).every(([, [x, y]]) => x !== after.Log[0] || y !== after.Log[1]));
+  });
+});
+
+describe('webhook requests', () => {
+  it('sends GET requests with query parameters and headers', async () => {
+    const { workflow } = await t.call('create_workflow', {
+      name: 'Echo Get',
+      trigger: { httpMethod: 'GET', responseMode: 'lastNode' }
+    });
+
+    const result = await t.call('execute_workflow_webhook', {
+      webhookUrl: workflow.productionUrl,
+      method: 'GET',
+      query: { q: 'shoes', size: [41, 42] },
+      headers: { 'X-Api-Key': 'let-me-in' }
+    });
+    assert.deepEqual(result.data.query, { q: 'shoes', size: ['41', '42'] });
+    assert.equal(result.data.headers['x-api-key'], 'let-me-in');
+    assert.equal(result.response.encoding, 'json');
+  });
+
+  it('refuses a body on GET requests', async () => {
+    await assert.rejects(
+      t.call('execute_workflow_webhook', { webhookUrl: `${t.mock.baseUrl}/webhook/x`, method: 'GET', payload: { a: 1 } }),
+      /GET requests have no body/
+    );
+  });
+
+  it('sends form-encoded bodies', async () => {
+    const { workflow } = await t.call('create_workflow', {
+      name: 'Echo Form',
+      trigger: { httpMethod: 'PUT', responseMode: 'lastNode' }
+    });
+
+    const result = await t.call('execute_workflow_webhook', {
+      webhookUrl: workflow.productionUrl,
+      method: 'PUT',
+      bodyEncoding: 'form',
+      payload: { name: 'Ada', tags: ['a', 'b'] }
+    });
+    assert.deepEqual(result.data.body, { name: 'Ada', tags: '["a","b"]' });
+    assert.equal(result.data.headers['content-type'], 'application/x-www-form-urlencoded');
+  });
+
+  it('uploads files and returns binary responses as a resource', async () => {
+    const image = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff, 0xfe]);
+    fs.mkdirSync(path.join(t.workDir, 'files'), { recursive: true });
+    fs.writeFileSync(path.join(t.workDir, 'files', 'pixel.png'), image);
+
+    const { workflow } = await t.call('create_workflow', {
+      name: 'Return Upload',
+      nodes: [{
+        name: 'Send Back',
+        type: 'n8n-nodes-base.respondToWebhook',
+        typeVersion: 1.1,
+        parameters: { respondWith: 'binary', inputDataFieldName: 'upload' }
+      }]
+    });
+
+    const response = await t.client.callTool({
+      name: 'execute_workflow_webhook',
+      arguments: {
+        webhookUrl: workflow.productionUrl,
+        payload: { note: 'avatar' },
+        files: [{ path: 'pixel.png', field: 'upload' }]
+      }
+    });
+    const result = JSON.parse(response.content[0].text);
+    assert.equal(result.data, undefined);
+    assert.deepEqual(result.response, { contentType: 'image/png', size: image.length, encoding: 'binary', fileName: 'pixel.png' });
+
+    const { resource } = response.content[1];
+    assert.equal(resource.mimeType, 'image/png');
+    assert.equal(resource.uri, workflow.productionUrl);
+    assert.deepEqual(Buffer.from(resource.blob, 'base64'), image);
+
+    const { executions } = await t.call('list_executions', { workflowId: workflow.id });
+    const execution = await t.call('get_execution', { id: executions[0].id, includeData: true });
+    assert.equal(execution.runData['Webhook Trigger'][0].data.main[0][0].json.body.note, 'avatar');
+  });
+
+  it('keeps file names that are not percent-encoded', async () => {
+    fs.mkdirSync(path.join(t.workDir, 'files'), { recursive: true });
+    fs.writeFileSync(path.join(t.workDir, 'files', 'report.pdf'), '%PDF-1.4');
+
+    const { workflow } = await t.call('create_workflow', {
+      name: 'Return Report',
+      nodes: [{
+        name: 'Send Back',
+        type: 'n8n-nodes-base.respondToWebhook',
+        typeVersion: 1.1,
+        parameters: { respondWith: 'binary', inputDataFieldName: 'report' }
+      }]
+    });
+
+    const result = await t.call('execute_workflow_webhook', {
+      webhookUrl: workflow.productionUrl,
+      files: [{ path: 'report.pdf', field: 'report', fileName: 'report 100%.pdf' }]
+    });
+    assert.equal(result.success, true);
+    assert.equal(result.response.fileName, 'report 100%.pdf');
+    const [entry] = (await t.call('lookup_workflow', { id: workflow.id })).workflows;
+    assert.equal(entry.lastExecution.success, true);
+
+    const { readWebhookResponse } = await import('../lib/webhook-request.js');
+    const fileName = (disposition) => readWebhookResponse({
+      data: Buffer.from('%PDF'),
+      headers: { 'content-type': 'application/pdf', 'content-disposition': disposition }
+    }).fileName;
+    assert.equal(fileName('attachment; filename="report.pdf"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9%20100%25.pdf'), 'résumé 100%.pdf');
+    assert.equal(fileName('attachment; filename*=iso-8859-1\'en\'r%E9sum%E9.pdf'), 'résumé.pdf');
+    assert.equal(fileName('attachment; filename*=UTF-8\'\'100%.pdf; filename="100 percent.pdf"'), '100 percent.pdf');
+    assert.equal(fileName('attachment; filename*=UTF-8\'\'100%.pdf'), '100%.pdf');
+    assert.equal(fileName('attachment; filename="say \\"hi\\".txt"'), 'say "hi".txt');
+    assert.equal(fileName('inline'), undefined);
+  });
+
+  it('returns text responses as text', async () => {
+    const { workflow } = await t.call('create_workflow', {
+      name: 'Say Hi',
+      nodes: [{
+        name: 'Say',
+        type: 'n8n-nodes-base.respondToWebhook',
+        typeVersion: 1.1,
+        parameters: { respondWith: 'text', responseBody: 'hi there' }
+      }]
+    });
+
+    const result = await t.call('execute_workflow_webhook', { webhookUrl: workflow.productionUrl, bodyEncoding: 'text', payload: 'ping' });
+    assert.equal(result.data, 'hi there');
+    assert.equal(result.response.encoding, 'text');
+    assert.equal(result.response.size, 8);
+  });
+
+  it('reports unreadable files as invalid parameters', async () => {
+    await assert.rejects(
+      t.call('execute_workflow_webhook', {
+        webhookUrl: `${t.mock.baseUrl}/webhook/x`,
+        files: [{ path: 'missing.bin' }]
+      }),
+      /Cannot read file/
+    );
+  });
+
+  it('only uploads files from N8N_FILES_DIR', async () => {
+    const before = t.mock.state.requests.length;
+    for (const file of [path.join(t.workDir, 'registry.json'), '../registry.json', '/etc/passwd']) {
+      await assert.rejects(
+        t.call('execute_workflow_webhook', { webhookUrl: `${t.mock.baseUrl}/webhook/x`, files: [{ path: file }] }),
+        /outside .*N8N_FILES_DIR/
+      );
+    }
+    assert.equal(t.mock.state.requests.length, before);
+  });
+});
+
+describe('batch_execute_webhook', () => {
+  let workflow;
+
+  before(async () => {
+    ({ workflow } = await t.call('create_workflow', { name: 'Batch Echo', trigger: { responseMode: 'lastNode' } }));
+  });
+
+  it('sends every payload and aggregates the results', async () => {
+    const executions = t.mock.state.executions.length;
+    const payloads = Array.from({ length: 20 }, (_, i) => ({ n: i }));
+
+    const result = await t.call('batch_execute_webhook', { webhookUrl: workflow.productionUrl, payloads, concurrency: 4 });
+    assert.equal(result.success, true);
+    assert.equal(result.total, 20);
+    assert.equal(result.succeeded, 20);
+    assert.deepEqual(result.statusCodes, { 200: 20 });
+    assert.deepEqual(result.errors, []);
+    assert.ok(result.latencyMs.p50 <= result.latencyMs.p95 && result.latencyMs.p95 <= result.latencyMs.p99);
+    assert.equal(t.mock.state.executions.length, executions + 20);
+
+    const [entry] = (await t.call('lookup_workflow', { id: workflow.id })).workflows;
+    assert.equal(entry.lastExecution.success, true);
+    assert.equal(entry.lastExecution.status, 200);
+    assert.deepEqual(entry.lastExecution.batch, { total: 20, succeeded: 20, failed: 0 });
+  });
+
+  it('records a failed batch once it completes', async () => {
+    const { workflow: inactive } = await createEchoWorkflow('Batch Failure');
+    await t.call('deactivate_workflow', { id: inactive.id });
+
+    await t.call('batch_execute_webhook', { webhookUrl: inactive.productionUrl, payloads: [{}, {}] });
+    const [entry] = (await t.call('lookup_workflow', { id: inactive.id })).workflows;
+    assert.equal(entry.lastExecution.success, false);
+    assert.equal(entry.lastExecution.status, 404);
+    assert.deepEqual(entry.lastExecution.batch, { total: 2, succeeded: 0, failed: 2 });
+  });
+
+  it('reads CSV files and writes per-item results', async () => {
+    fs.mkdirSync(path.join(t.workDir, 'files'), { recursive: true });
+    fs.writeFileSync(path.join(t.workDir, 'files', 'people.csv'), 'name,note\nAda,"likes ""math"", and tea"\nGrace,compilers\n');
+    const outputFile = path.join(t.workDir, 'files', 'out', 'people.jsonl');
+
+    const result = await t.call('batch_execute_webhook', { webhookUrl: workflow.productionUrl, file: 'people.csv', outputFile: 'out/people.jsonl' });
+    assert.equal(result.succeeded, 2);
+    assert.equal(result.outputFile, outputFile);
+
+    const lines = fs.readFileSync(outputFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => line.data.body), [
+      { name: 'Ada', note: 'likes "math", and tea' },
+      { name: 'Grace', note: 'compilers' }
+    ]);
+    assert.deepEqual(lines.map(line => [line.index, line.ok, line.status]), [[0, true, 200], [1, true, 200]]);
+  });
+
+  it('sends JSONL items as query parameters of GET requests at the requested rate', async () => {
+    const { workflow: getWorkflow } = await t.call('create_workflow', {
+      name: 'Batch Get',
+      trigger: { httpMethod: 'GET', responseMode: 'lastNode' }
+    });
+    fs.mkdirSync(path.join(t.workDir, 'files'), { recursive: true });
+    const file = path.join(t.workDir, 'files', 'queries.jsonl');
+    fs.writeFileSync(file, '{"q":"a"}\n\n{"q":"b"}\n{"q":"c"}\n{"q":"d"}\n');
+    const outputFile = path.join(t.workDir, 'files', 'queries-out.jsonl');
+
+    const result = await t.call('batch_execute_webhook', {
+      webhookUrl: getWorkflow.productionUrl,
+      method: 'GET',
+      file,
+      concurrency: 4,
+      ratePerSecond: 40,
+      outputFile
+    });
+    assert.equal(result.succeeded, 4);
+    // Four starts 25ms apart take at least 75ms
+    assert.ok(result.durationMs >= 70, `took ${result.durationMs}ms`);
+
+    const lines = fs.readFileSync(outputFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => line.data.query.q), ['a', 'b', 'c', 'd']);
+  });
+
+  it('reports failed items with their status', async () => {
+    const result = await t.call('batch_execute_webhook', {
+      webhookUrl: `${t.mock.baseUrl}/webhook/nobody-home`,
+      payloads: [{}, {}, {}]
+    });
+    assert.equal(result.success, false);
+    assert.equal(result.failed, 3);
+    assert.deepEqual(result.statusCodes, { 404: 3 });
+    assert.deepEqual(result.errors.map(error => [error.index, error.status]), [[0, 404], [1, 404], [2, 404]]);
+  });
+
+  it('rejects unusable input', async () => {
+    await assert.rejects(
+      t.call('batch_execute_webhook', { webhookUrl: workflow.productionUrl, payloads: [{}], file: 'x.json' }),
+      /not both/
+    );
+    await assert.rejects(
+      t.call('batch_execute_webhook', { webhookUrl: workflow.productionUrl, file: 'data.txt' }),
+      /Cannot read payload file/
+    );
+    fs.mkdirSync(path.join(t.workDir, 'files'), { recursive: true });
+    fs.writeFileSync(path.join(t.workDir, 'files', 'object.json'), '{"a":1}');
+    await assert.rejects(
+      t.call('batch_execute_webhook', { webhookUrl: workflow.productionUrl, file: 'object.json' }),
+      /must contain an array/
+    );
+    await assert.rejects(
+      t.call('batch_execute_webhook', { webhookUrl: workflow.productionUrl, payloads: [{}], concurrency: 0 }),
+      /concurrency must be/
+    );
+  });
+
+  it('keeps payload and result files inside N8N_FILES_DIR', async () => {
+    fs.writeFileSync(path.join(t.workDir, 'outside.json'), '[{}]');
+    await assert.rejects(
+      t.call('batch_execute_webhook', { webhookUrl: workflow.productionUrl, file: path.join(t.workDir, 'outside.json') }),
+      /outside .*N8N_FILES_DIR/
+    );
+    await assert.rejects(
+      t.call('batch_execute_webhook', { webhookUrl: workflow.productionUrl, file: '../outside.json' }),
+      /outside .*N8N_FILES_DIR/
+    );
+
+    const before = t.mock.state.requests.length;
+    const registry = fs.readFileSync(path.join(t.workDir, 'registry.json'), 'utf8');
+    await assert.rejects(
+      t.call('batch_execute_webhook', { webhookUrl: workflow.productionUrl, payloads: [{}], outputFile: '../registry.json' }),
+      /outside .*N8N_FILES_DIR/
+    );
+    assert.equal(t.mock.state.requests.length, before);
+    assert.equal(fs.readFileSync(path.join(t.workDir, 'registry.json'), 'utf8'), registry);
+  });
+});
+
+describe('async jobs', () => {
+  // Poll a job until `done` says so
+  const waitForJob = async (jobId, done = job => job.finishedAt) => {
+    for (let attempt = 0; attempt < 200; attempt++) {
+      const job = await t.call('get_job_status', { jobId });
+      if (done(job)) {
+        return job;
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Job ${jobId} did not get there in time`);
+  };
+
+  it('runs a webhook call in the background and reports its result', async () => {
+    const { workflow } = await createEchoWorkflow('Background Echo');
+
+    const started = await t.call('execute_workflow_webhook', {
+      webhookUrl: workflow.productionUrl,
+      payload: { n: 1 },
+      async: true,
+      pollInterval: 10
+    });
+    assert.equal(started.async, true);
+    assert.equal(started.job.status, 'pending');
+
+    const job = await waitForJob(started.job.id);
+    assert.equal(job.status, 'success');
+    assert.equal(job.response.status, 200);
+    assert.equal(job.response.data.message, 'Workflow executed successfully');
+    assert.equal(job.execution.workflowId, workflow.id);
+    assert.equal(job.executionId, job.execution.id);
+
+    const [entry] = (await t.call('lookup_workflow', { id: workflow.id })).workflows;
+    assert.equal(entry.lastExecution.success, true);
+    assert.equal(entry.lastExecution.status, 200);
+    assert.equal(entry.lastExecution.executionId, job.executionId);
+    assert.deepEqual(entry.lastExecution.job, { id: job.id, status: 'success' });
+  });
+
+  it('cancels a running job by stopping its execution', async () => {
+    const { workflow } = await t.call('create_workflow', {
+      name: 'Slow Job',
+      nodes: [{ name: 'Wait', type: 'n8n-nodes-base.wait', typeVersion: 1.1, parameters: { amount: 30, unit: 'seconds' } }],
+      trigger: { responseMode: 'lastNode' }
+    });
+
+    const { job: started } = await t.call('execute_workflow_webhook', {
+      webhookUrl: workflow.productionUrl,
+      async: true,
+      pollInterval: 10
+    });
+
+    // The execution is found while the webhook call is still waiting for it
+    const running = await waitForJob(started.id, job => job.status === 'running');
+    assert.ok(running.executionId);
+    assert.equal(running.response, undefined);
+
+    const active = await t.call('list_jobs', { status: 'active' });
+    assert.deepEqual(active.jobs.map(job => job.id), [started.id]);
+
+    const canceled = await t.call('cancel_job', { jobId: started.id });
+    assert.equal(canceled.status, 'canceled');
+    assert.equal(t.mock.state.executions.find(e => e.id === running.executionId).status, 'canceled');
+
+    await assert.rejects(t.call('cancel_job', { jobId: started.id }), /already finished with status canceled/);
+
+    const [entry] = (await t.call('lookup_workflow', { id: workflow.id })).workflows;
+    assert.equal(entry.lastExecution.success, false);
+    assert.equal(entry.lastExecution.executionId, running.executionId);
+    assert.deepEqual(entry.lastExecution.job, { id: started.id, status: 'canceled' });
+  });
+
+  it('fails jobs whose webhook call fails', async () => {
+    const { job: started } = await t.call('execute_workflow_webhook', {
+      webhookUrl: `${t.mock.baseUrl}/webhook/not-registered`,
+      async: true,
+      pollInterval: 10
+    });
+
+    const job = await waitForJob(started.id);
+    assert.equal(job.status, 'failed');
+    assert.match(job.error, /No workflow is listening/);
+
+    const failed = await t.call('list_jobs', { status: 'failed' });
+    assert.ok(failed.jobs.some(listed => listed.id === started.id));
+  });
+
+  it('records failed jobs of registered workflows', async () => {
+    const { workflow } = await createEchoWorkflow('Background Failure');
+    await t.call('deactivate_workflow', { id: workflow.id });
+
+    const { job: started } = await t.call('execute_workflow_webhook', {
+      webhookUrl: workflow.productionUrl,
+      async: true,
+      pollInterval: 10
+    });
+    const job = await waitForJob(started.id);
+    assert.equal(job.status, 'failed');
+
+    const [entry] = (await t.call('lookup_workflow', { id: workflow.id })).workflows;
+    assert.equal(entry.lastExecution.success, false);
+    assert.equal(entry.lastExecution.error, job.error);
+    assert.deepEqual(entry.lastExecution.job, { id: job.id, status: 'failed' });
+  });
+
+  it('rejects unknown job IDs', async () => {
+    await assert.rejects(t.call('get_job_status', { jobId: 'nope' }), /Unknown job "nope"/);
+  });
+
+  it('keeps each client\'s jobs to itself', async () => {
+    const { createMcpServer } = await import('../server.js');
+    const connect = async (owner) => {
+      const client = new Client({ name: owner, version: '1.0.0' }, { capabilities: {} });
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      await Promise.all([client.connect(clientTransport), createMcpServer({ owner }).connect(serverTransport)]);
+      const call = async (name, args = {}) => JSON.parse((await client.callTool({ name, arguments: args })).content[0].text);
+      return { client, call };
+    };
+    const alice = await connect('alice');
+    const aliceAgain = await connect('alice');
+    const bob = await connect('bob');
+
+    const { workflow } = await createEchoWorkflow('Private Job');
+    const { job } = await alice.call('execute_workflow_webhook', { webhookUrl: workflow.productionUrl, async: true, pollInterval: 10 });
+
+    assert.equal((await aliceAgain.call('get_job_status', { jobId: job.id })).id, job.id);
+    assert.deepEqual((await aliceAgain.call('list_jobs')).jobs.map(listed => listed.id), [job.id]);
+    await assert.rejects(bob.call('get_job_status', { jobId: job.id }), /Unknown job/);
+    await assert.rejects(bob.call('cancel_job', { jobId: job.id }), /Unknown job/);
+    assert.equal((await bob.call('list_jobs')).count, 0);
+    await assert.rejects(t.call('get_job_status', { jobId: job.id }), /Unknown job/);
+
+    await Promise.all([alice, aliceAgain, bob].map(({ client }) => client.close()));
+  });
+});
+
+describe('cleanup_workflows', () => {
+  it('dry-runs by default and deletes when asked', async () => {
+    await createEchoWorkflow('tmp-cleanup-1');
+    await createEchoWorkflow('tmp-cleanup-2');
+
+    const dryRun = await t.call('cleanup_workflows', { namePattern: '^tmp-cleanup-' });
+    assert.equal(dryRun.dryRun, true);
+    assert.equal(dryRun.count, 2);
+    assert.equal([...t.mock.state.workflows.values()].filter(wf => wf.name.startsWith('tmp-cleanup-')).length, 2);
+
+    const result = await t.call('cleanup_workflows', { namePattern: '^tmp-cleanup-', dryRun: false });
+    assert.equal(result.deleted.length, 2);
+    assert.equal([...t.mock.state.workflows.values()].filter(wf => wf.name.startsWith('tmp-cleanup-')).length, 0);
+    for (const workflow of result.deleted) {
+      const { snapshots } = await t.call('list_snapshots', { id: workflow.id });
+      assert.equal(snapshots[0].reason, 'delete');
+      assert.equal(snapshots[0].name, workflow.name);
+    }
+  });
+
+  it('refuses to run without criteria', async () => {
+    await assert.rejects(t.call('cleanup_workflows', { createdByServer: false }), /without any selection criteria/);
+  });
+});
+
+describe('tags', () => {
+  it('creates, lists, attaches, detaches and deletes tags', async () => {
+    const tag = await t.call('create_tag', { name: 'billing' });
+    assert.equal(tag.name, 'billing');
+
+    const { workflow } = await createEchoWorkflow('Tag Target');
+    const tagged = await t.call('tag_workflow', { id: workflow.id, tags: ['billing', 'urgent'] });
+    assert.deepEqual(tagged.tags.map(tag => tag.name).sort(), ['billing', 'mcp-generated', 'urgent']);
+
+    const untagged = await t.call('untag_workflow', { id: workflow.id, tags: ['urgent'] });
+    assert.deepEqual(untagged.tags.map(tag => tag.name).sort(), ['billing', 'mcp-generated']);
+
+    const listed = await t.call('list_tags');
+    assert.ok(listed.some(tag => tag.name === 'urgent'));
+
+    await t.call('delete_tag', { tag: 'billing' });
+    const stored = await t.call('get_workflow', { id: workflow.id });
+    assert.deepEqual(stored.tags.map(tag => tag.name), ['mcp-generated']);
+  });
+});
+
+describe('credentials', () => {
+  it('creates credentials without echoing their data and resolves them by name', async () => {
+    const schema = await t.call('get_credential_schema', { type: 'httpHeaderAuth' });
+    assert.deepEqual(schema.required, ['name', 'value']);
+
+    const { credential: created } = await t.call('create_credential', {
+      name: 'Partner API',
+      type: 'httpHeaderAuth',
+      data: { name: 'X-Key', value: 'secret' }
+    });
+    assert.equal(created.data, undefined);
+    assert.ok(!JSON.stringify(created).includes('secret'));
+
+    const listed = await t.call('list_credentials', { type: 'httpHeaderAuth' });
+    assert.deepEqual(listed.map(credential => credential.name), ['Partner API']);
+
+    const { workflow } = await t.call('create_workflow', {
+      name: 'Calls Partner',
+      nodes: [{
+        name: 'Call Partner',
+        type: 'n8n-nodes-base.httpRequest',
+        typeVersion: 4.2,
+        parameters: { url: 'https://partner.example.com' },
+        credential: 'Partner API'
+      }]
+    });
+    const stored = t.mock.state.workflows.get(workflow.id);
+    assert.deepEqual(
+      stored.nodes.find(node => node.name === 'Call Partner').credentials,
+      { httpHeaderAuth: { id: created.id, name: 'Partner API' } }
+    );
+  });
+
+  it('rejects references to credentials that do not exist', async () => {
+    await assert.rejects(
+      t.call('create_workflow', {
+        name: 'Missing Credential',
+        nodes: [{ name: 'Call', type: 'n8n-nodes-base.httpRequest', typeVersion: 4.2, credential: 'Nobody' }]
+      }),
+      /Nobody/
+    );
+  });
+});
+
+describe('export and import', () => {
+  it('round-trips a workflow through a normalized file', async () => {
+    const { workflow } = await createEchoWorkflow('Round Trip', { tags: ['exported'] });
+
+    const exported = await t.call('export_workflow', { id: workflow.id });
+    assert.equal(exported.file, path.join(t.workDir, 'exports', 'round-trip.json'));
+    const file = JSON.parse(fs.readFileSync(exported.file, 'utf8'));
+    assert.equal(file.id, undefined);
+    assert.deepEqual(file.tags, ['exported', 'mcp-generated']);
+
+    // The original still listens on the path, so the copy gets a new one
+    const imported = await t.call('import_workflow', { file: exported.file, activate: true });
+    assert.equal(imported.action, 'created');
+    assert.equal(imported.workflow.active, true);
+    assert.equal(imported.renamedPaths.length, 1);
+    assert.equal(imported.renamedPaths[0].from, workflow.webhookPath);
+    assert.notEqual(imported.workflow.id, workflow.id);
+
+    const updated = await t.call('import_workflow', { file: exported.file, id: workflow.id });
+    assert.equal(updated.action, 'updated');
+    assert.equal(updated.workflow.active, true);
+  });
+
+  it('rejects files that are not workflows', async () => {
+    fs.writeFileSync(path.join(t.workDir, 'exports', 'not-a-workflow.json'), JSON.stringify({ name: 'nothing' }));
+    await assert.rejects(t.call('import_workflow', { file: 'not-a-workflow.json' }), /nodes/);
+  });
+
+  it('keeps files inside N8N_EXPORT_DIR', async () => {
+    const { workflow } = await createEchoWorkflow('Confined Export');
+    const nested = await t.call('export_workflow', { id: workflow.id, directory: 'team' });
+    assert.equal(nested.file, path.join(t.workDir, 'exports', 'team', 'confined-export.json'));
+
+    await assert.rejects(t.call('export_workflow', { id: workflow.id, directory: '..' }), /outside .*N8N_EXPORT_DIR/);
+    await assert.rejects(t.call('export_workflow', { id: workflow.id, fileName: '../../escaped.json' }), /outside/);
+    await assert.rejects(t.call('export_workflow', { id: workflow.id, directory: os.tmpdir() }), /outside/);
+    assert.equal(fs.existsSync(path.join(t.workDir, 'confined-export.json')), false);
+
+    fs.writeFileSync(path.join(t.workDir, 'secret.json'), JSON.stringify({ name: 'secret', nodes: [] }));
+    await assert.rejects(t.call('import_workflow', { file: path.join(t.workDir, 'secret.json') }), /outside/);
+    await assert.rejects(t.call('import_workflow', { file: '../secret.json' }), /outside/);
+    fs.symlinkSync(path.join(t.workDir, 'secret.json'), path.join(t.workDir, 'exports', 'link.json'));
+    await assert.rejects(t.call('import_workflow', { file: 'link.json' }), /outside/);
+  });
+});
+
+describe('snapshots', () => {
+  it('saves a snapshot whenever the server changes a workflow', async () => {
+    const { workflow } = await createEchoWorkflow('Snapshot History');
+    await t.call('update_workflow', { id: workflow.id, updateNodes: [{ node: 'Mark', parameters: { mode: 'manual' } }] });
+    await t.call('deactivate_workflow', { id: workflow.id });
+    const manual = await t.call('snapshot_workflow', { id: workflow.id, note: 'before the release' });
+    assert.equal(manual.snapshot.reason, 'manual');
+    assert.equal(manual.snapshot.note, 'before the release');
+
+    const { snapshots } = await t.call('list_snapshots', { id: workflow.id });
+    assert.deepEqual(snapshots.map(snapshot => snapshot.reason), ['manual', 'deactivate', 'update', 'create']);
+    assert.equal(snapshots[3].active, true);
+    assert.equal(snapshots[1].active, false);
+  });
+
+  it('snapshots a workflow before deleting it', async () => {
+    const { workflow } = await createEchoWorkflow('Snapshot Before Delete');
+    const deleted = await t.call('delete_workflow', { id: workflow.id });
+
+    const { snapshots } = await t.call('list_snapshots', { id: workflow.id });
+    assert.equal(deleted.snapshot, snapshots[0].id);
+    assert.equal(snapshots[0].reason, 'delete');
+    assert.equal(snapshots[0].active, true);
+    assert.deepEqual(snapshots.map(snapshot => snapshot.reason), ['delete', 'create']);
+    assert.equal(snapshots[0].nodes, snapshots[1].nodes);
+  });
+
+  it('keeps the order of snapshots saved in the same millisecond', async () => {
+    // Imported once the helper has set the environment the lib modules read
+    const { createSnapshotStore } = await import('../lib/snapshots.js');
+    const store = createSnapshotStore({
+      directory: path.join(t.workDir, 'same-millisecond'),
+      limit: 3,
+      now: () => new Date('2024-01-01T12:00:00.000Z')
+    });
+    const saved = ['create', 'update', 'update', 'activate'].map((reason, version) =>
+      store.save('default', { id: 'wf', name: `v${version}`, nodes: [] }, { reason }).id);
+
+    assert.deepEqual(saved, [
+      '20240101T120000000Z-000-create',
+      '20240101T120000000Z-001-update',
+      '20240101T120000000Z-002-update',
+      '20240101T120000000Z-003-activate'
+    ]);
+    assert.equal(store.latest('default', 'wf').workflow.name, 'v3');
+    assert.deepEqual(store.list('default', 'wf').map(snapshot => snapshot.name), ['v3', 'v2', 'v1']);
+  });
+
+  it('numbers past the snapshots pruning removed instead of reusing their numbers', async () => {
+    const { createSnapshotStore } = await import('../lib/snapshots.js');
+    const store = createSnapshotStore({
+      directory: path.join(t.workDir, 'pruned'),
+      limit: 2,
+      now: () => new Date('2024-01-01T12:00:00.000Z')
+    });
+    const saved = ['v0', 'v1', 'v2', 'v3', 'v4'].map(name =>
+      store.save('default', { id: 'wf', name, nodes: [] }, { reason: 'update' }).id);
+
+    assert.equal(new Set(saved).size, saved.length);
+    assert.deepEqual(saved.slice(2), [
+      '20240101T120000000Z-002-update',
+      '20240101T120000000Z-003-update',
+      '20240101T120000000Z-004-update'
+    ]);
+    assert.deepEqual(store.list('default', 'wf').map(snapshot => snapshot.name), ['v4', 'v3']);
+    assert.equal(store.read('default', 'wf', saved[3]).workflow.name, 'v3');
+  });
+
+  it('diffs snapshots against each other and the live workflow', async () => {
+    const { workflow } = await createEchoWorkflow('Snapshot Diff');
+    const created = (await t.call('list_snapshots', { id: workflow.id })).snapshots[0];
+    await t.call('update_workflow', {
+      id: workflow.id,
+      updateNodes: [{ node: 'Mark', parameters: { mode: 'manual' } }],
+      addNodes: [{ name: 'Log', type: 'n8n-nodes-base.noOp', typeVersion: 1, parameters: {} }],
+      addConnections: [{ source: 'Mark', target: 'Log' }]
+    });
+
+    const diff = await t.call('diff_workflow', { id: workflow.id, from: created.id });
+    assert.equal(diff.identical, false);
+    assert.equal(diff.to, 'live');
+    assert.deepEqual(diff.nodes.added, [{ name: 'Log', type: 'n8n-nodes-base.noOp' }]);
+    assert.deepEqual(diff.nodes.changed, [{
+      name: 'Mark',
+      type: 'n8n-nodes-base.set',
+      changes: [{ path: 'parameters.mode', before: null, after: 'manual' }]
+    }]);
+    assert.deepEqual(diff.connections.added, [{ source: 'Mark', sourceOutput: 0, target: 'Log', targetInput: 0 }]);
+
+    // Nothing changed since the snapshot taken after the update...
+    assert.equal((await t.call('diff_workflow', { id: workflow.id })).identical, true);
+
+    // ...until the workflow is edited outside this server
+    t.mock.state.workflows.get(workflow.id).settings = { timezone: 'Europe/Berlin' };
+    const outside = await t.call('diff_workflow', { id: workflow.id });
+    assert.deepEqual(outside.settings, [{ path: 'timezone', before: null, after: 'Europe/Berlin' }]);
+  });
+
+  it('rolls back to a snapshot and keeps the live webhook path', async () => {
+    const { workflow } = await createEchoWorkflow('Snapshot Rollback');
+    const created = (await t.call('list_snapshots', { id: workflow.id })).snapshots[0];
+    await t.call('update_workflow', { id: workflow.id, renameNodes: [{ from: 'Mark', to: 'Stamp' }] });
+
+    // The path is changed in the n8n editor, so callers now use the new URL
+    const stored = t.mock.state.workflows.get(workflow.id);
+    stored.nodes.find(node => node.name === 'Webhook Trigger').parameters.path = 'snapshot-rollback-moved';
+
+    const result = await t.call('rollback_workflow', { id: workflow.id, snapshot: created.id });
+    assert.equal(result.workflow.webhookPath, 'snapshot-rollback-moved');
+    assert.equal(result.workflow.active, true);
+    assert.deepEqual(result.keptPaths, [{
+      node: 'Webhook Trigger',
+      snapshotPath: workflow.webhookPath,
+      livePath: 'snapshot-rollback-moved'
+    }]);
+
+    const restored = t.mock.state.workflows.get(workflow.id);
+    assert.deepEqual(restored.nodes.map(node => node.name).sort(), ['Mark', 'Respond to Webhook', 'Webhook Trigger']);
+    const run = await t.call('execute_workflow_webhook', { webhookUrl: result.workflow.productionUrl });
+    assert.equal(run.status, 200);
+
+    // The edited version was saved before it was overwritten
+    const { snapshots } = await t.call('list_snapshots', { id: workflow.id });
+    assert.deepEqual(snapshots.slice(0, 2).map(snapshot => snapshot.reason), ['rollback', 'before-rollback']);
+    const undo = await t.call('diff_workflow', { id: workflow.id, from: snapshots[1].id });
+    assert.deepEqual(undo.nodes.added.map(node => node.name), ['Mark']);
+    assert.deepEqual(undo.nodes.removed.map(node => node.name), ['Stamp']);
+  });
+
+  it('rejects unknown snapshots', async () => {
+    const { workflow } = await createEchoWorkflow('Snapshot Errors');
+    await assert.rejects(t.call('rollback_workflow', { id: workflow.id, snapshot: 'nope' }), /no snapshot "nope"/);
+    await assert.rejects(t.call('diff_workflow', { id: workflow.id, from: '../../etc' }), /Invalid snapshot ID/);
+    await assert.rejects(t.call('diff_workflow', { id: 'unknown' }), /has no snapshots yet/);
+  });
+});
+
+describe('registry', () => {
+  it('records created workflows and how their webhook last ran', async () => {
+    const { workflow } = await createEchoWorkflow('Order Intake', { description: 'Receives shop orders' });
+
+    const byName = await t.call('lookup_workflow', { name: 'order intake' });
+    assert.equal(byName.count, 1);
+    assert.equal(byName.workflows[0].id, workflow.id);
+    assert.equal(byName.workflows[0].description, 'Receives shop orders');
+    assert.equal(byName.workflows[0].productionUrl, workflow.productionUrl);
+    assert.equal(byName.workflows[0].lastExecution, null);
+
+    await t.call('execute_workflow_webhook', { webhookUrl: workflow.productionUrl, payload: { order: 1 } });
+    const [entry] = (await t.call('lookup_workflow', { id: workflow.id })).workflows;
+    assert.equal(entry.lastExecution.success, true);
+    assert.equal(entry.lastExecution.status, 200);
+
+    await t.call('update_workflow', { id: workflow.id, name: 'Order Intake v2' });
+    assert.equal((await t.call('lookup_workflow', { id: workflow.id })).workflows[0].name, 'Order Intake v2');
+
+    await t.call('delete_workflow', { id: workflow.id });
+    await assert.rejects(t.call('lookup_workflow', { id: workflow.id }), /No workflow with ID/);
+  });
+
+  it('finds webhooks by fuzzy name', async () => {
+    const { workflow } = await createEchoWorkflow('Invoice Reminder Mailer');
+    await createEchoWorkflow('Weekly Digest');
+
+    const result = await t.call('find_webhook', { query: 'invoce remind' });
+    assert.equal(result.matches[0].id, workflow.id);
+    assert.equal(result.matches[0].productionUrl, workflow.productionUrl);
+    assert.ok(result.matches.every(match => match.name !== 'Weekly Digest'));
+
+    assert.equal((await t.call('find_webhook', { query: 'qqqq zzzz' })).count, 0);
+  });
+
+  it('sync_registry follows renames and deletions in n8n', async () => {
+    const { workflow: renamed } = await createEchoWorkflow('Sync Renamed');
+    const { workflow: deleted } = await createEchoWorkflow('Sync Deleted');
+    const { workflow: missing } = await createEchoWorkflow('Sync Missing');
+
+    t.mock.state.workflows.get(renamed.id).name = 'Sync Renamed In n8n';
+    t.mock.state.workflows.delete(deleted.id);
+    const file = path.join(t.workDir, 'registry.json');
+    const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+    fs.writeFileSync(file, JSON.stringify({ workflows: stored.workflows.filter(entry => entry.id !== missing.id) }));
+
+    const dryRun = await t.call('sync_registry', { dryRun: true });
+    assert.deepEqual(dryRun.renamed, [{ id: renamed.id, from: 'Sync Renamed', to: 'Sync Renamed In n8n' }]);
+    assert.deepEqual(dryRun.removed, [{ id: deleted.id, name: 'Sync Deleted' }]);
+    assert.deepEqual(dryRun.added, [{ id: missing.id, name: 'Sync Missing' }]);
+    assert.equal((await t.call('lookup_workflow', { id: renamed.id })).workflows[0].name, 'Sync Renamed');
+
+    await t.call('sync_registry');
+    assert.equal((await t.call('lookup_workflow', { id: renamed.id })).workflows[0].name, 'Sync Renamed In n8n');
+    await assert.rejects(t.call('lookup_workflow', { id: deleted.id }), /No workflow/);
+    assert.equal((await t.call('lookup_workflow', { id: missing.id })).workflows[0].webhookPath, missing.webhookPath);
+  });
+});
+
+describe('node catalog', () => {
+  it('searches and describes node types', async () => {
+    const { nodeTypes } = await t.call('search_node_types', { query: 'http request' });
+    assert.equal(nodeTypes[0].type, 'n8n-nodes-base.httpRequest');
+
+    const triggers = await t.call('search_node_types', { group: 'trigger' });
+    assert.ok(triggers.nodeTypes.some(node => node.type === 'n8n-nodes-base.webhook'));
+
+    const set = await t.call('describe_node_type', { type: 'n8n-nodes-base.set' });
+    assert.ok(set.versions.includes(set.defaultVersion));
+    assert.ok(set.parameters.length > 0);
+    assert.deepEqual(set.example.type, 'n8n-nodes-base.set');
+    assert.equal(set.example.typeVersion, set.defaultVersion);
+
+    await assert.rejects(t.call('describe_node_type', { type: 'n8n-nodes-base.slak' }), /did you mean n8n-nodes-base\.slack/);
+  });
+
+  it('create_workflow fills in typeVersion and rejects unknown types before calling n8n', async () => {
+    const { workflow } = await t.call('create_workflow', {
+      name: 'Catalog Defaults',
+      nodes: [{ name: 'Mark', type: 'n8n-nodes-base.set', parameters: {} }]
+    });
+    const { defaultVersion } = await t.call('describe_node_type', { type: 'n8n-nodes-base.set' });
+    const stored = t.mock.state.workflows.get(workflow.id);
+    assert.equal(stored.nodes.find(node => node.name === 'Mark').typeVersion, defaultVersion);
+
+    const before = t.mock.state.workflows.size;
+    await assert.rejects(
+      t.call('create_workflow', { name: 'Typo', nodes: [{ name: 'Mark', type: 'n8n-nodes-base.sett' }] }),
+      /node "Mark" has unknown type n8n-nodes-base\.sett \(did you mean n8n-nodes-base\.set/
+    );
+    assert.equal(t.mock.state.workflows.size, before);
+  });
+
+  it('update_workflow checks added nodes against the catalog', async () => {
+    const { workflow } = await createEchoWorkflow('Catalog Update');
+    await t.call('update_workflow', { id: workflow.id, addNodes: [{ name: 'Log', type: 'n8n-nodes-base.noOp' }] });
+    const { defaultVersion } = await t.call('describe_node_type', { type: 'n8n-nodes-base.noOp' });
+    assert.equal(t.mock.state.workflows.get(workflow.id).nodes.find(node => node.name === 'Log').typeVersion, defaultVersion);
+
+    const puts = () => t.mock.state.requests.filter(request => request.startsWith('PUT ')).length;
+    const before = puts();
+    await assert.rejects(
+      t.call('update_workflow', { id: workflow.id, addNodes: [{ name: 'Oops', type: 'n8n-nodes-base.noOpp' }] }),
+      /node "Oops" has unknown type n8n-nodes-base\.noOpp \(did you mean n8n-nodes-base\.noOp/
+    );
+    assert.equal(puts(), before);
+  });
+
+  it('validate_workflow checks nodes against the catalog like create_workflow', async () => {
+    const valid = await t.call('validate_workflow', { nodes: [{ name: 'Mark', type: 'n8n-nodes-base.set', parameters: {} }] });
+    assert.equal(valid.valid, true);
+    assert.ok(valid.errors.every(error => error.rule !== 'missing-type-version'));
+
+    const typo = await t.call('validate_workflow', { nodes: [{ name: 'Mark', type: 'n8n-nodes-base.sett' }] });
+    assert.equal(typo.valid, false);
+    assert.equal(typo.errors[0].rule, 'invalid-node-type');
+    assert.deepEqual(typo.errors[0].nodes, ['Mark']);
+    assert.match(typo.errors[0].message, /did you mean n8n-nodes-base\.set/);
+    assert.equal(typo.errors[0].suggestions[0], 'n8n-nodes-base.set');
+
+    // Each node is reported on its own, whatever its name says
+    const nodes = [
+      { name: 'unknown type', type: 'n8n-nodes-base.sett' },
+      { name: 'Fine', type: 'n8n-nodes-base.noOp' },
+      { name: 'Log', type: 'n8n-nodes-base.noOpp' }
+    ];
+    const typos = await t.call('validate_workflow', { nodes });
+    assert.deepEqual(typos.errors.map(error => error.nodes), [['unknown type'], ['Log']]);
+    assert.deepEqual(typos.errors.map(error => error.suggestions[0]), ['n8n-nodes-base.set', 'n8n-nodes-base.noOp']);
+
+    const rejected = await t.call('create_workflow', { name: 'Typos', nodes }).catch(error => error);
+    assert.match(rejected.message, /node "unknown type" has unknown type n8n-nodes-base\.sett .*; node "Log" has unknown type/);
+  });
+
+  it('loads community node types from the instance', async () => {
+    const { workflow } = await t.call('create_workflow', {
+      name: 'Catalog Community',
+      nodes: [{ name: 'CRM', type: 'n8n-nodes-acme.crm', parameters: { operation: 'create' } }]
+    });
+    assert.equal(t.mock.state.workflows.get(workflow.id).nodes.find(node => node.name === 'CRM').typeVersion, 2);
+
+    const refreshed = await t.call('refresh_node_catalog');
+    assert.equal(refreshed.source, 'instance');
+    assert.deepEqual(refreshed.added, ['n8n-nodes-acme.crm']);
+
+    const crm = await t.call('describe_node_type', { type: 'n8n-nodes-acme.crm' });
+    assert.deepEqual(crm.versions, [1, 2]);
+    assert.deepEqual(crm.credentials, ['acmeApi']);
+    assert.deepEqual(crm.example.parameters, { operation: 'create' });
+
+    await assert.rejects(
+      t.call('create_workflow', { name: 'Old CRM', nodes: [{ name: 'CRM', type: 'n8n-nodes-acme.crm', typeVersion: 3 }] }),
+      /has versions 1, 2/
+    );
+  });
+});
+
+describe('templates', () => {
+  it('lists built-in and local templates', async () => {
+    fs.mkdirSync(path.join(t.workDir, 'templates'), { recursive: true });
+    fs.writeFileSync(path.join(t.workDir, 'templates', 'greet.json'), JSON.stringify({
+      id: 'greet',
+      name: 'Greeter',
+      description: 'Say hello',
+      parameters: { type: 'object', properties: { greeting: { type: 'string', default: 'hi' } } },
+      workflow: {
+        nodes: [{
+          name: 'Greet',
+          type: 'n8n-nodes-base.respondToWebhook',
+          typeVersion: 1.1,
+          parameters: { respondWith: 'json', responseBody: '{"greeting": "{{greeting}}"}' }
+        }]
+      }
+    }));
+
+    const { templates } = await t.call('list_templates');
+    const ids = templates.map(template => template.id);
+    assert.ok(ids.includes('webhook-http-respond'));
+    assert.ok(ids.includes('greet'));
+
+    const { workflow } = await t.call('create_workflow_from_template', { template: 'greet', parameters: { greeting: 'hello' } });
+    assert.equal(workflow.name, 'Greeter');
+    const result = await t.call('execute_workflow_webhook', { webhookUrl: workflow.productionUrl });
+    assert.deepEqual(result.data, { greeting: 'hello' });
+  });
+
+  it('validates template parameters', async () => {
+    await assert.rejects(
+      t.call('create_workflow_from_template', { template: 'webhook-http-respond', parameters: { method: 'GET' } }),
+      /url is required/
+    );
+    await assert.rejects(t.call('create_workflow_from_template', { template: 'nope' }), /Unknown template "nope"/);
+  });
+});
+
+describe('errors', () => {
+  it('maps a rejected API key to an authentication error', async () => {
+    await assert.rejects(
+      t.call('list_tags', { instance: 'stale' }),
+      error => error.code === -32001
+    );
+  });
+});
+
+describe('resources', () => {
+  it('lists, reads and watches workflows', async () => {
+    const { workflow } = await createEchoWorkflow('Watched');
+    const uri = `n8n://workflow/${workflow.id}`;
+
+    const { resources } = await t.client.listResources();
+    assert.equal(resources[0].uri, 'n8n://workflows');
+    assert.ok(resources.some(resource => resource.uri === uri));
+
+    const { resourceTemplates } = await t.client.listResourceTemplates();
+    assert.equal(resourceTemplates.length, 2);
+
+    const read = await t.client.readResource({ uri });
+    assert.equal(JSON.parse(read.contents[0].text).id, workflow.id);
+
+    const updates = [];
+    t.client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+      updates.push(notification.params.uri);
+    });
+    await t.client.subscribeResource({ uri });
+    await t.call('update_workflow', { id: workflow.id, name: 'Watched v2' });
+    assert.deepEqual(updates, [uri]);
+
+    await t.client.unsubscribeResource({ uri });
+    await t.call('update_workflow', { id: workflow.id, name: 'Watched v3' });
+    assert.deepEqual(updates, [uri]);
+  });
+
+  it('reads executions and rejects unknown URIs', async () => {
+    const { workflow } = await createEchoWorkflow('Executed');
+    await t.call('execute_workflow_webhook', { webhookUrl: workflow.productionUrl });
+
+    const read = await t.client.readResource({ uri: `n8n://workflow/${workflow.id}/executions` });
+    assert.equal(JSON.parse(read.contents[0].text).executions.length, 1);
+
+    await assert.rejects(t.client.readResource({ uri: 'n8n://nothing' }), /Unknown resource URI/);
+  });
+});
+
+describe('prompts', () => {
+  it('builds prompts from live workflow data', async () => {
+    const { prompts } = await t.client.listPrompts();
+    assert.deepEqual(prompts.map(prompt => prompt.name), ['build_webhook_api', 'debug_workflow', 'add_error_handling']);
+
+    const build = await t.client.getPrompt({ name: 'build_webhook_api', arguments: { goal: 'echo the request' } });
+    assert.match(build.messages[0].content.text, /echo the request/);
+
+    const { workflow } = await t.call('create_workflow', {
+      name: 'Flaky',
+      nodes: [{ name: 'Fail', type: 'n8n-nodes-base.stopAndError', typeVersion: 1, parameters: { errorMessage: 'flaked' } }],
+      trigger: { responseMode: 'lastNode' }
+    });
+    await assert.rejects(t.call('execute_workflow_webhook', { webhookUrl: workflow.productionUrl }));
+
+    const debug = await t.client.getPrompt({ name: 'debug_workflow', arguments: { id: workflow.id } });
+    assert.match(debug.messages[0].content.text, /node "Fail" failed with "flaked"/);
+    assert.equal(debug.messages[1].content.resource.uri, `n8n://workflow/${workflow.id}`);
+
+    const errorHandling = await t.client.getPrompt({ name: 'add_error_handling', arguments: { id: workflow.id } });
+    assert.match(errorHandling.messages[0].content.text, /update_workflow/);
+
+    await assert.rejects(t.client.getPrompt({ name: 'debug_workflow', arguments: {} }), /needs the argument/);
+  });
+
+  it('add_error_handling only asks for edits update_workflow can make', async () => {
+    const { workflow } = await t.call('create_workflow', {
+      name: 'Needs Error Path',
+      nodes: [{ name: 'Call API', type: 'n8n-nodes-base.httpRequest', parameters: { url: 'https://api.example.com' } }]
+    });
+    const prompt = await t.client.getPrompt({ name: 'add_error_handling', arguments: { id: workflow.id } });
+    assert.match(prompt.messages[0].content.text, /onError: "continueErrorOutput"/);
+    assert.match(prompt.messages[0].content.text, /"onError"/);
+
+    await t.call('update_workflow', {
+      id: workflow.id,
+      updateNodes: [{ node: 'Call API', onError: 'continueErrorOutput', retryOnFail: true, maxTries: 3 }],
+      addNodes: [{
+        name: 'Report Error',
+        type: 'n8n-nodes-base.respondToWebhook',
+        parameters: { respondWith: 'json', responseBody: '{"error": true}', options: { responseCode: 502 } }
+      }],
+      addConnections: [{ source: 'Call API', sourceOutput: 1, target: 'Report Error' }]
+    });
+    const stored = t.mock.state.workflows.get(workflow.id);
+    const callApi = stored.nodes.find(node => node.name === 'Call API');
+    assert.equal(callApi.onError, 'continueErrorOutput');
+    assert.equal(callApi.retryOnFail, true);
+    assert.equal(callApi.maxTries, 3);
+    assert.deepEqual(stored.connections['Call API'].main[1], [{ node: 'Report Error', type: 'main', index: 0 }]);
+
+    await assert.rejects(
+      t.call('update_workflow', { id: workflow.id, updateNodes: [{ node: 'Call API', onError: 'ignore' }] }),
+      /onError of "Call API" must be one of/
+    );
+  });
+});